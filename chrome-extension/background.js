@@ -3,338 +3,3166 @@
  * Handles window management and tab operations
  */
 
-// Track reference windows
-const referenceWindows = new Set();
+importScripts('settings.js', 'protocol.js');
+
+// Current user settings, kept up to date by onSettingsChanged
+let settings = getDefaultSettings();
+
+// Track reference windows (windowId -> { windowId, tabId, bounds, createdAt })
+const referenceWindows = new Map();
+
+// Track split sessions so they can be undone (sessionId -> session record)
+const splitSessions = new Map();
+
+// Storage keys for the registries; session storage outlives service worker
+// suspension but is cleared with the browser session, like window IDs
+const REFERENCE_WINDOWS_STORAGE_KEY = 'referenceWindows';
+const SPLIT_SESSIONS_STORAGE_KEY = 'splitSessions';
+const COMPARE_REPORT_STORAGE_KEY = 'compareReport';
+
+// Workspaces live in sync storage, one item per workspace to stay under the per-item quota
+const WORKSPACE_KEY_PREFIX = 'workspace:';
+const WORKSPACE_ROLES = ['pane', 'reference'];
+
+// Cached tab snapshots for the popup picker (tabId -> { dataUrl, capturedAt }),
+// stored one item per tab so a capture only rewrites its own snapshot
+const tabThumbnails = new Map();
+const THUMBNAIL_KEY_PREFIX = 'thumb:';
+const THUMBNAIL_WIDTH = 320;
+const MAX_THUMBNAILS = 50;
+
+// Wait for a newly activated tab to paint before capturing it
+const THUMBNAIL_CAPTURE_DELAY = 500;
+const pendingThumbnailCaptures = new Map(); // windowId -> timeout ID
+
+// Tab in each linked pane window last told to link its scrolling (windowId -> tabId)
+const syncScrollTabs = new Map();
+
+// Named multi-pane layouts supported by splitLayout
+const LAYOUTS = ['columns', 'rows', 'grid', 'main-stack'];
+const MAX_LAYOUT_PANES = 6;
+
+// Allowed fraction of the width given to the left window of a two-way split
+const MIN_SPLIT_RATIO = 0.1;
+const MAX_SPLIT_RATIO = 0.9;
+
+// Context menu: "Split this tab with…" lists recent tabs as 'split-with:<tabId>' items
+const CONTEXT_MENU_SPLIT_WITH_PREFIX = 'split-with:';
+const MAX_CONTEXT_MENU_RECENT_TABS = 8;
+const CONTEXT_MENU_REBUILD_DELAY = 500;
+let pendingContextMenuRebuild = null; // timeout ID
+let contextMenuUpdate = Promise.resolve(); // chains menu updates so one never interleaves with the next
+let splitWithMenuItemIds = null; // submenu items on show; null until this worker has built the menus
+
+// Keyword templates for splitWithUrl ("w tab groups" searches Wikipedia); %s is the encoded query
+const URL_TEMPLATES = {
+  g: 'https://www.google.com/search?q=%s',
+  ddg: 'https://duckduckgo.com/?q=%s',
+  w: 'https://en.wikipedia.org/wiki/Special:Search?search=%s',
+  gh: 'https://github.com/search?q=%s',
+  mdn: 'https://developer.mozilla.org/search?q=%s',
+  yt: 'https://www.youtube.com/results?search_query=%s'
+};
+const DEFAULT_URL_TEMPLATE = 'g';
+
+// How long splitWithUrl waits for the page to start loading before splitting anyway
+const URL_COMMIT_TIMEOUT = 10000;
+
+// Edges of a main window that reference windows can dock to, and how unevenly a stack can be shared
+const DOCK_EDGES = ['left', 'right', 'top', 'bottom'];
+const MAX_DOCK_WEIGHT = 3;
+
+// Bounds the extension last gave each docked reference, as asked for and as Chrome applied them
+// (windowId -> serialized bounds), so the bounds events its own moves cause are not taken as resizes
+const dockPlacements = new Map();
+
+// Recent failures for the popup's diagnostics panel, in local storage so they survive restarts
+const ERROR_LOG_STORAGE_KEY = 'errorLog';
+const MAX_ERROR_LOG_ENTRIES = 50;
+let errorLogWrite = Promise.resolve(); // chains log updates so concurrent failures are not lost
+
+// Pages Chrome never injects content scripts into, and how long a content script gets to answer a probe
+const WEB_STORE_URLS = ['https://chromewebstore.google.com/', 'https://chrome.google.com/webstore'];
+const CONTENT_PROBE_TIMEOUT = 500;
+
+// How command results are shown on pages without the content script
+const NOTIFICATION_ICON = 'icons/icon128.png';
+const BADGE_COLORS = { success: '#137333', error: '#d93025', info: '#1a73e8' };
+const BADGE_TEXT = { success: '✓', error: '!', info: 'i' };
 
 /**
  * Split current window into two side-by-side windows
- * @param {number} leftTabId - ID of the tab to place in left window
- * @param {number} rightTabId - ID of the tab to place in right window
+ * @param {number|Array<number>} leftTabs - ID(s) of the tab(s) to place in left window
+ * @param {number|Array<number>} rightTabs - ID(s) of the tab(s) to place in right window
+ * @param {number} [ratio] - Fraction of the width given to the left window; defaults to the user setting
+ * @param {Object} [options] - Split options
+ * @param {boolean} [options.spanDisplays] - Give each window a whole display instead of halving the current window
  */
-async function splitWindow(leftTabId, rightTabId) {
+async function splitWindow(leftTabs, rightTabs, ratio = settings.defaultSplitPercent / 100, options = {}) {
   try {
+    const leftTabIds = [].concat(leftTabs || []);
+    const rightTabIds = [].concat(rightTabs || []);
+    const allTabIds = [...leftTabIds, ...rightTabIds];
+    
     // Validate input parameters
-    if (!leftTabId || !rightTabId || typeof leftTabId !== 'number' || typeof rightTabId !== 'number') {
-      return { success: false, error: 'Invalid tab IDs provided' };
+    if (leftTabIds.length === 0 || rightTabIds.length === 0 ||
+        !allTabIds.every(tabId => Number.isInteger(tabId) && tabId > 0)) {
+      return createErrorResponse(ERROR_CODES.INVALID_SELECTION, 'Invalid tab IDs provided');
+    }
+    
+    if (new Set(allTabIds).size !== allTabIds.length) {
+      return createErrorResponse(ERROR_CODES.INVALID_SELECTION, 'Cannot split the same tab');
     }
     
-    if (leftTabId === rightTabId) {
-      return { success: false, error: 'Cannot split the same tab' };
+    if (typeof ratio !== 'number' || ratio < MIN_SPLIT_RATIO || ratio > MAX_SPLIT_RATIO) {
+      return createErrorResponse(ERROR_CODES.INVALID_INPUT, `Split ratio must be between ${MIN_SPLIT_RATIO} and ${MAX_SPLIT_RATIO}`);
     }
     
-    // Get current window information
+    // Get current window information and the display it is on
     const currentWindow = await chrome.windows.getCurrent({ populate: true });
-    const { width, height, left, top } = currentWindow;
+    const displays = await chrome.system.display.getInfo();
+    const currentDisplay = findDisplayForBounds(displays, currentWindow);
+    
+    // Calculate dimensions for split windows
+    let leftWindowBounds;
+    let rightWindowBounds;
+    
+    if (options.spanDisplays) {
+      const otherDisplay = findOtherDisplay(displays, currentDisplay);
+      if (!otherDisplay) {
+        return createErrorResponse(ERROR_CODES.DISPLAY_NOT_FOUND, 'Spanning a split needs a second display');
+      }
+      
+      // Keep the left window on whichever display is physically on the left
+      const [leftDisplay, rightDisplay] = otherDisplay.workArea.left < currentDisplay.workArea.left
+        ? [otherDisplay, currentDisplay]
+        : [currentDisplay, otherDisplay];
+      leftWindowBounds = { ...leftDisplay.workArea };
+      rightWindowBounds = { ...rightDisplay.workArea };
+    } else {
+      const { width, height, left, top } = clampBoundsToArea(currentWindow, currentDisplay.workArea);
+      const leftWidth = Math.floor(width * ratio);
+      
+      leftWindowBounds = {
+        left: left,
+        top: top,
+        width: leftWidth,
+        height: height
+      };
+      
+      rightWindowBounds = {
+        left: left + leftWidth,
+        top: top,
+        width: width - leftWidth,
+        height: height
+      };
+    }
     
-    // Validate window dimensions
-    if (width < 400 || height < 300) {
-      return { success: false, error: 'Window too small to split effectively' };
+    // Validate pane dimensions
+    if ([leftWindowBounds, rightWindowBounds].some(bounds => bounds.width < settings.minPaneWidth || bounds.height < settings.minPaneHeight)) {
+      return createErrorResponse(ERROR_CODES.WINDOW_TOO_SMALL, 'Window too small to split effectively at this ratio');
     }
     
     // Verify tabs exist and are accessible
     try {
-      const leftTab = await chrome.tabs.get(leftTabId);
-      const rightTab = await chrome.tabs.get(rightTabId);
+      const tabs = await Promise.all(allTabIds.map(tabId => chrome.tabs.get(tabId)));
       
-      if (!leftTab || !rightTab) {
-        return { success: false, error: 'One or both tabs not found' };
+      if (tabs.some(tab => !tab)) {
+        return createErrorResponse(ERROR_CODES.TAB_NOT_FOUND, 'One or more tabs not found');
       }
       
-      console.log('Tab validation successful:', { leftTabId, rightTabId, leftTab: leftTab.title, rightTab: rightTab.title });
+      console.log('Tab validation successful:', { leftTabIds, rightTabIds, titles: tabs.map(tab => tab.title) });
     } catch (error) {
       console.error('Tab validation failed:', error);
-      return { success: false, error: 'Invalid tab IDs or tabs not accessible' };
+      return createErrorResponse(ERROR_CODES.TAB_NOT_FOUND, 'Invalid tab IDs or tabs not accessible');
     }
     
-    // Calculate dimensions for split windows
-    const halfWidth = Math.floor(width / 2);
-    
-    const leftWindowBounds = {
-      left: left,
-      top: top,
-      width: halfWidth,
-      height: height
-    };
-    
-    const rightWindowBounds = {
-      left: left + halfWidth,
-      top: top,
-      width: halfWidth,
-      height: height
-    };
+    // Snapshot where the tabs came from so the split can be undone, or rolled back if it fails partway
+    const splitSession = await captureSplitSession(currentWindow, allTabIds);
+    const createdWindowIds = [];
+    let leftWindow;
+    let rightWindow;
     
-    // Create left window with first tab
-    const leftWindow = await chrome.windows.create({
-      tabId: leftTabId,
-      ...leftWindowBounds,
-      focused: true
-    });
+    try {
+      // Create left window with the first left tab
+      leftWindow = await chrome.windows.create({
+        tabId: leftTabIds[0],
+        ...leftWindowBounds,
+        focused: true
+      });
+      createdWindowIds.push(leftWindow.id);
+      
+      // Create right window with the first right tab
+      rightWindow = await chrome.windows.create({
+        tabId: rightTabIds[0],
+        ...rightWindowBounds,
+        focused: false
+      });
+      createdWindowIds.push(rightWindow.id);
+      
+      // Bring the rest of each side along, then rebuild their groups with the same titles and colours
+      await moveSplitTabs(splitSession, leftTabIds, leftWindow.id);
+      await moveSplitTabs(splitSession, rightTabIds, rightWindow.id);
+    } catch (error) {
+      console.error('Split failed partway, rolling back:', error);
+      return createRollbackResponse(error, await rollbackSplit(splitSession, createdWindowIds));
+    }
     
-    // Create right window with second tab
-    const rightWindow = await chrome.windows.create({
-      tabId: rightTabId,
-      ...rightWindowBounds,
-      focused: false
+    await recordSplitSession(splitSession, [leftWindow.id, rightWindow.id], {
+      layout: options.spanDisplays ? 'span' : 'split',
+      ratio: ratio
     });
     
-    // Verify both windows were created successfully
-    if (!leftWindow || !rightWindow) {
-      throw new Error('Failed to create one or both windows');
-    }
-    
-    // Close the original window if it's empty or has only one tab
+    // Close the original window if it's empty or has only one tab; Chrome
+    // usually closes it already when its last tab moves out
     const originalTabs = currentWindow.tabs || [];
-    if (originalTabs.length <= 2) {
-      await chrome.windows.remove(currentWindow.id);
+    const movedFromCurrent = originalTabs.filter(tab => allTabIds.includes(tab.id)).length;
+    if (originalTabs.length <= movedFromCurrent) {
+      await chrome.windows.remove(currentWindow.id).catch(() => {});
     }
     
-    return { success: true, leftWindow: leftWindow.id, rightWindow: rightWindow.id };
+    return { success: true, leftWindow: leftWindow.id, rightWindow: rightWindow.id, sessionId: splitSession.id };
     
   } catch (error) {
     console.error('Error splitting window:', error);
-    return { success: false, error: error.message };
+    return createExceptionResponse(error);
   }
 }
 
 /**
- * Get all tabs in current window
- * @returns {Promise<Array>} Array of tab objects
+ * Move the remaining tabs of one side of a split into its window and regroup them
+ * @param {Object} session - Split session holding the tabs' original state
+ * @param {Array<number>} tabIds - Tabs for this side; the first is already in the window
+ * @param {number} windowId - Window for this side
+ * @returns {Promise<void>}
  */
-async function getCurrentWindowTabs() {
-  try {
-    const currentWindow = await chrome.windows.getCurrent({ populate: true });
-    return currentWindow.tabs || [];
-  } catch (error) {
-    console.error('Error getting current window tabs:', error);
-    return [];
+async function moveSplitTabs(session, tabIds, windowId) {
+  if (tabIds.length > 1) {
+    await chrome.tabs.move(tabIds.slice(1), { windowId: windowId, index: -1 });
   }
+
+  // Moving a tab to another window takes it out of its group
+  const records = session.tabs.filter(record => tabIds.includes(record.tabId));
+  await restoreTabGroups(records, windowId);
 }
 
 /**
- * Get tab information by ID
- * @param {number} tabId - Tab ID
- * @returns {Promise<Object>} Tab object
+ * Persist the reference window registry to session storage
+ * @returns {Promise<void>}
  */
-async function getTabInfo(tabId) {
+async function saveReferenceWindows() {
   try {
-    return await chrome.tabs.get(tabId);
+    await chrome.storage.session.set({
+      [REFERENCE_WINDOWS_STORAGE_KEY]: Array.from(referenceWindows.values())
+    });
   } catch (error) {
-    console.error('Error getting tab info:', error);
-    return null;
+    console.error('Error saving reference windows:', error);
   }
 }
 
 /**
- * Create a reference window for a tab
- * @param {number} tabId - ID of the tab to place in reference window
- * @returns {Promise<Object>} Result object with success status and window ID
+ * Rehydrate the reference window registry after a service worker restart,
+ * dropping entries whose windows no longer exist
+ * @returns {Promise<void>}
  */
-async function createReferenceWindow(tabId) {
+async function restoreReferenceWindows() {
   try {
-    // Validate input
-    if (!tabId || typeof tabId !== 'number') {
-      return { success: false, error: 'Invalid tab ID provided' };
-    }
+    const stored = await chrome.storage.session.get(REFERENCE_WINDOWS_STORAGE_KEY);
+    const records = stored[REFERENCE_WINDOWS_STORAGE_KEY] || [];
 
-    // Check if we've reached the maximum number of reference windows
-    if (referenceWindows.size >= 3) {
-      return { success: false, error: 'Maximum of 3 reference windows allowed' };
-    }
+    const openWindows = await chrome.windows.getAll();
+    const openWindowIds = new Set(openWindows.map(window => window.id));
 
-    // Verify tab exists
-    try {
-      const tab = await chrome.tabs.get(tabId);
-      if (!tab) {
-        return { success: false, error: 'Tab not found' };
-      }
-    } catch (error) {
-      return { success: false, error: 'Tab not accessible' };
+    records
+      .filter(record => openWindowIds.has(record.windowId))
+      .forEach(record => referenceWindows.set(record.windowId, record));
+
+    if (referenceWindows.size !== records.length) {
+      console.log('Dropped stale reference windows:', records.length - referenceWindows.size);
+      await saveReferenceWindows();
     }
+  } catch (error) {
+    console.error('Error restoring reference windows:', error);
+  }
+}
 
-    // Get current window information
-    const currentWindow = await chrome.windows.getCurrent({ populate: true });
-    const { width, height, left, top } = currentWindow;
+/**
+ * Persist the split session registry to session storage
+ * @returns {Promise<void>}
+ */
+async function saveSplitSessions() {
+  try {
+    await chrome.storage.session.set({
+      [SPLIT_SESSIONS_STORAGE_KEY]: Array.from(splitSessions.values())
+    });
+  } catch (error) {
+    console.error('Error saving split sessions:', error);
+  }
+}
 
-    // Calculate reference window dimensions (20% width, full height)
-    const referenceWidth = Math.floor(width * 0.2);
-    const referenceHeight = height;
+/**
+ * Rehydrate the split session registry after a service worker restart,
+ * dropping sessions whose windows have all been closed
+ * @returns {Promise<void>}
+ */
+async function restoreSplitSessions() {
+  try {
+    const stored = await chrome.storage.session.get(SPLIT_SESSIONS_STORAGE_KEY);
+    const sessions = stored[SPLIT_SESSIONS_STORAGE_KEY] || [];
 
-    // Calculate reference window position (at right edge of current window)
-    const referenceLeft = left + width;
-    const referenceTop = top;
+    const openWindows = await chrome.windows.getAll();
+    const openWindowIds = new Set(openWindows.map(window => window.id));
 
-    // Create reference window
-    const referenceWindow = await chrome.windows.create({
-      tabId: tabId,
-      left: referenceLeft,
-      top: referenceTop,
-      width: referenceWidth,
-      height: referenceHeight,
-      focused: false,
-      type: 'normal'
+    sessions.forEach(session => {
+      session.windowIds = session.windowIds.filter(windowId => openWindowIds.has(windowId));
+      if (session.windowIds.length > 0) {
+        splitSessions.set(session.id, session);
+      }
     });
 
-    // Track the reference window
-    referenceWindows.add(referenceWindow.id);
-
-    console.log('Reference window created:', {
-      windowId: referenceWindow.id,
-      tabId: tabId,
-      dimensions: { width: referenceWidth, height: referenceHeight },
-      position: { left: referenceLeft, top: referenceTop }
-    });
+    await saveSplitSessions();
+  } catch (error) {
+    console.error('Error restoring split sessions:', error);
+  }
+}
 
-    return { 
-      success: true, 
-      windowId: referenceWindow.id,
-      tabId: tabId,
-      dimensions: { width: referenceWidth, height: referenceHeight }
-    };
+/**
+ * Persist one tab thumbnail to session storage
+ * @param {number} tabId - Tab the thumbnail belongs to
+ * @param {Object} thumbnail - Thumbnail ({ dataUrl, capturedAt })
+ * @returns {Promise<void>}
+ */
+async function saveTabThumbnail(tabId, thumbnail) {
+  try {
+    await chrome.storage.session.set({ [THUMBNAIL_KEY_PREFIX + tabId]: thumbnail });
+  } catch (error) {
+    console.error('Error saving tab thumbnail:', error);
+  }
+}
 
+/**
+ * Remove tab thumbnails from session storage
+ * @param {Array<number>} tabIds - Tabs whose thumbnails to remove
+ * @returns {Promise<void>}
+ */
+async function removeTabThumbnails(tabIds) {
+  try {
+    await chrome.storage.session.remove(tabIds.map(tabId => THUMBNAIL_KEY_PREFIX + tabId));
   } catch (error) {
-    console.error('Error creating reference window:', error);
-    return { success: false, error: error.message };
+    console.error('Error removing tab thumbnails:', error);
   }
 }
 
 /**
- * Close a specific reference window
- * @param {number} windowId - ID of the reference window to close
- * @returns {Promise<Object>} Result object with success status
+ * Rehydrate the tab thumbnail cache after a service worker restart
+ * @returns {Promise<void>}
  */
-async function closeReferenceWindow(windowId) {
+async function restoreTabThumbnails() {
   try {
-    if (!referenceWindows.has(windowId)) {
-      return { success: false, error: 'Window is not a tracked reference window' };
+    const stored = await chrome.storage.session.get(null);
+
+    // Oldest first, so eviction keeps dropping the least recent snapshot
+    Object.keys(stored)
+      .filter(key => key.startsWith(THUMBNAIL_KEY_PREFIX))
+      .sort((a, b) => stored[a].capturedAt - stored[b].capturedAt)
+      .forEach(key => {
+        tabThumbnails.set(Number(key.slice(THUMBNAIL_KEY_PREFIX.length)), stored[key]);
+      });
+  } catch (error) {
+    console.error('Error restoring tab thumbnails:', error);
+  }
+}
+
+/**
+ * Load user settings into the background cache
+ * @returns {Promise<void>}
+ */
+async function loadSettings() {
+  settings = await getSettings();
+}
+
+// Resolves once settings and registries have been rehydrated; awaited before they are used
+const stateReady = Promise.all([
+  loadSettings(),
+  restoreReferenceWindows(),
+  restoreSplitSessions(),
+  restoreTabThumbnails()
+]);
+
+onSettingsChanged(newSettings => {
+  settings = newSettings;
+  console.log('Settings updated:', settings);
+});
+
+/**
+ * Compute the overlapping area of two rectangles
+ * @param {Object} a - First rectangle ({ left, top, width, height })
+ * @param {Object} b - Second rectangle
+ * @returns {number} Overlapping area in pixels
+ */
+function getOverlapArea(a, b) {
+  const overlapWidth = Math.min(a.left + a.width, b.left + b.width) - Math.max(a.left, b.left);
+  const overlapHeight = Math.min(a.top + a.height, b.top + b.height) - Math.max(a.top, b.top);
+  return Math.max(0, overlapWidth) * Math.max(0, overlapHeight);
+}
+
+/**
+ * Find the display that contains most of a window
+ * @param {Array<Object>} displays - Displays from chrome.system.display.getInfo
+ * @param {Object} bounds - Window bounds ({ left, top, width, height })
+ * @returns {Object} Display info; the primary display if the window is off-screen
+ */
+function findDisplayForBounds(displays, bounds) {
+  let bestDisplay = displays.find(display => display.isPrimary) || displays[0];
+  let bestOverlap = 0;
+
+  displays.forEach(display => {
+    const overlap = getOverlapArea(display.workArea, bounds);
+    if (overlap > bestOverlap) {
+      bestDisplay = display;
+      bestOverlap = overlap;
     }
+  });
 
-    await chrome.windows.remove(windowId);
-    referenceWindows.delete(windowId);
+  return bestDisplay;
+}
 
-    console.log('Reference window closed:', windowId);
-    return { success: true, windowId: windowId };
+/**
+ * Find a display other than the given one, preferring the nearest to its right
+ * @param {Array<Object>} displays - Displays from chrome.system.display.getInfo
+ * @param {Object} currentDisplay - Display to move away from
+ * @returns {Object|null} Display info, or null with a single display
+ */
+function findOtherDisplay(displays, currentDisplay) {
+  const others = displays
+    .filter(display => display.id !== currentDisplay.id)
+    .sort((a, b) => a.workArea.left - b.workArea.left);
 
-  } catch (error) {
-    console.error('Error closing reference window:', error);
-    return { success: false, error: error.message };
-  }
+  return others.find(display => display.workArea.left >= currentDisplay.workArea.left) || others[0] || null;
 }
 
 /**
- * Close all reference windows
- * @returns {Promise<Object>} Result object with success status
+ * Move and shrink bounds so they fit entirely inside an area
+ * @param {Object} bounds - Bounds to clamp ({ left, top, width, height })
+ * @param {Object} area - Area to keep the bounds in, usually a display work area
+ * @returns {Object} Clamped bounds
  */
-async function closeAllReferenceWindows() {
+function clampBoundsToArea(bounds, area) {
+  const width = Math.min(bounds.width, area.width);
+  const height = Math.min(bounds.height, area.height);
+
+  return {
+    left: Math.min(Math.max(bounds.left, area.left), area.left + area.width - width),
+    top: Math.min(Math.max(bounds.top, area.top), area.top + area.height - height),
+    width: width,
+    height: height
+  };
+}
+
+/**
+ * Get the displays attached to the system
+ * @returns {Promise<Object>} Object with display summaries
+ */
+async function getDisplayInfo() {
   try {
-    const closePromises = Array.from(referenceWindows).map(windowId => 
-      chrome.windows.remove(windowId).catch(error => {
-        console.error(`Error closing reference window ${windowId}:`, error);
-        return null;
-      })
-    );
+    const displays = await chrome.system.display.getInfo();
+    return {
+      success: true,
+      displays: displays.map(display => ({
+        id: display.id,
+        name: display.name,
+        isPrimary: display.isPrimary,
+        workArea: display.workArea
+      })),
+      count: displays.length
+    };
+  } catch (error) {
+    console.error('Error getting display info:', error);
+    return createExceptionResponse(error);
+  }
+}
 
-    await Promise.all(closePromises);
-    const closedCount = referenceWindows.size;
-    referenceWindows.clear();
+/**
+ * Get the smallest rectangle containing all of the given bounds
+ * @param {Array<Object>} boundsList - Bounds to enclose
+ * @returns {Object} Enclosing bounds ({ left, top, width, height })
+ */
+function getBoundingBox(boundsList) {
+  const left = Math.min(...boundsList.map(bounds => bounds.left));
+  const top = Math.min(...boundsList.map(bounds => bounds.top));
+  const right = Math.max(...boundsList.map(bounds => bounds.left + bounds.width));
+  const bottom = Math.max(...boundsList.map(bounds => bounds.top + bounds.height));
 
-    console.log('All reference windows closed:', closedCount);
-    return { success: true, closedCount: closedCount };
+  return { left: left, top: top, width: right - left, height: bottom - top };
+}
 
-  } catch (error) {
-    console.error('Error closing all reference windows:', error);
-    return { success: false, error: error.message };
+/**
+ * Divide a span into a number of contiguous segments without gaps
+ * @param {number} start - Start coordinate of the span
+ * @param {number} length - Total length of the span
+ * @param {number} count - Number of segments
+ * @returns {Array<Object>} Segments as { start, length }
+ */
+function divideSpan(start, length, count) {
+  const segments = [];
+  for (let i = 0; i < count; i++) {
+    const segmentStart = Math.floor((i * length) / count);
+    const segmentEnd = Math.floor(((i + 1) * length) / count);
+    segments.push({ start: start + segmentStart, length: segmentEnd - segmentStart });
   }
+  return segments;
 }
 
 /**
- * Get list of current reference windows
- * @returns {Object} Object with reference window information
+ * Divide a span into contiguous segments sized in proportion to their weights
+ * @param {number} start - Start coordinate of the span
+ * @param {number} length - Total length of the span
+ * @param {Array<number>} weights - Relative size of each segment
+ * @returns {Array<Object>} Segments as { start, length }
  */
-function getReferenceWindows() {
-  return {
-    success: true,
-    windows: Array.from(referenceWindows),
-    count: referenceWindows.size
-  };
+function divideSpanByWeight(start, length, weights) {
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  const segments = [];
+  let cumulativeWeight = 0;
+
+  weights.forEach(weight => {
+    const segmentStart = Math.floor((cumulativeWeight * length) / totalWeight);
+    cumulativeWeight += weight;
+    const segmentEnd = Math.floor((cumulativeWeight * length) / totalWeight);
+    segments.push({ start: start + segmentStart, length: segmentEnd - segmentStart });
+  });
+
+  return segments;
+}
+
+/**
+ * Compute window bounds for every pane of a named layout
+ * @param {string} layout - Layout name (columns, rows, grid, main-stack)
+ * @param {number} paneCount - Number of panes to place
+ * @param {Object} area - Area to fill ({ left, top, width, height })
+ * @returns {Array<Object>} Bounds for each pane, in tab order
+ */
+function computeLayoutBounds(layout, paneCount, area) {
+  const { left, top, width, height } = area;
+
+  switch (layout) {
+    case 'columns':
+      return divideSpan(left, width, paneCount).map(column => ({
+        left: column.start, top: top, width: column.length, height: height
+      }));
+
+    case 'rows':
+      return divideSpan(top, height, paneCount).map(row => ({
+        left: left, top: row.start, width: width, height: row.length
+      }));
+
+    case 'grid': {
+      // Fill row by row; a shorter last row stretches across the full width
+      const columnCount = Math.ceil(Math.sqrt(paneCount));
+      const rowCount = Math.ceil(paneCount / columnCount);
+      const bounds = [];
+
+      divideSpan(top, height, rowCount).forEach((row, rowIndex) => {
+        const panesInRow = Math.min(columnCount, paneCount - rowIndex * columnCount);
+        divideSpan(left, width, panesInRow).forEach(column => {
+          bounds.push({ left: column.start, top: row.start, width: column.length, height: row.length });
+        });
+      });
+
+      return bounds;
+    }
+
+    case 'main-stack': {
+      // First pane takes the left half, the rest are stacked on the right
+      if (paneCount === 1) {
+        return [{ left, top, width, height }];
+      }
+
+      const [main, stack] = divideSpan(left, width, 2);
+      const stackBounds = divideSpan(top, height, paneCount - 1).map(row => ({
+        left: stack.start, top: row.start, width: stack.length, height: row.length
+      }));
+
+      return [{ left: main.start, top: top, width: main.length, height: height }, ...stackBounds];
+    }
+
+    default:
+      throw new Error(`Unknown layout: ${layout}`);
+  }
 }
 
-// Message handling from popup
-chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-  (async () => {
+/**
+ * Arrange several tabs into separate windows following a named layout
+ * @param {Array<number>} tabIds - Ordered IDs of the tabs to place, one per pane
+ * @param {string} layout - Layout name (columns, rows, grid, main-stack)
+ * @returns {Promise<Object>} Result object with success status and window IDs
+ */
+async function splitLayout(tabIds, layout) {
+  try {
+    // Validate input parameters
+    if (!LAYOUTS.includes(layout)) {
+      return createErrorResponse(ERROR_CODES.INVALID_INPUT, `Unknown layout: ${layout}`);
+    }
+
+    if (!Array.isArray(tabIds) || tabIds.some(tabId => !tabId || typeof tabId !== 'number')) {
+      return createErrorResponse(ERROR_CODES.INVALID_SELECTION, 'Invalid tab IDs provided');
+    }
+
+    if (tabIds.length < 2 || tabIds.length > MAX_LAYOUT_PANES) {
+      return createErrorResponse(ERROR_CODES.INVALID_SELECTION, `Layouts need between 2 and ${MAX_LAYOUT_PANES} tabs`);
+    }
+
+    if (new Set(tabIds).size !== tabIds.length) {
+      return createErrorResponse(ERROR_CODES.INVALID_SELECTION, 'Each pane needs a different tab');
+    }
+
+    // Get current window information and compute every pane up front,
+    // keeping the layout inside the work area of the window's display
+    const currentWindow = await chrome.windows.getCurrent({ populate: true });
+    const displays = await chrome.system.display.getInfo();
+    const workArea = findDisplayForBounds(displays, currentWindow).workArea;
+    const paneBounds = computeLayoutBounds(layout, tabIds.length, clampBoundsToArea(currentWindow, workArea));
+
+    if (paneBounds.some(bounds => bounds.width < settings.minPaneWidth || bounds.height < settings.minPaneHeight)) {
+      return createErrorResponse(ERROR_CODES.WINDOW_TOO_SMALL, 'Window too small for this layout');
+    }
+
+    // Verify tabs exist and are accessible
+    try {
+      await Promise.all(tabIds.map(tabId => chrome.tabs.get(tabId)));
+    } catch (error) {
+      console.error('Tab validation failed:', error);
+      return createErrorResponse(ERROR_CODES.TAB_NOT_FOUND, 'Invalid tab IDs or tabs not accessible');
+    }
+
+    // Snapshot where the tabs came from so the layout can be undone
+    const splitSession = await captureSplitSession(currentWindow, tabIds);
+
+    // Create one window per pane, focusing the first
+    const windowIds = [];
     try {
-      switch (request.action) {
-        case 'getCurrentWindowTabs':
-          const currentTabs = await getCurrentWindowTabs();
-          sendResponse({ success: true, data: currentTabs });
-          break;
-          
-        case 'splitWindow':
-          const result = await splitWindow(request.leftTabId, request.rightTabId);
-          sendResponse(result);
-          break;
-          
-        case 'getTabInfo':
-          const tabInfo = await getTabInfo(request.tabId);
-          sendResponse({ success: true, data: tabInfo });
-          break;
-          
-        case 'quickSplit':
-          const quickSplitTabs = await getCurrentWindowTabs();
-          if (quickSplitTabs.length >= 2) {
-            const currentIndex = quickSplitTabs.findIndex(tab => tab.active);
-            const leftTab = quickSplitTabs[currentIndex];
-            const rightTab = quickSplitTabs[currentIndex + 1] || quickSplitTabs[0];
-            const result = await splitWindow(leftTab.id, rightTab.id);
-            sendResponse(result);
-          } else {
-            sendResponse({ success: false, error: 'Need at least 2 tabs to split' });
-          }
-          break;
-          
-        case 'createReferenceWindow':
-          const referenceResult = await createReferenceWindow(request.tabId);
-          sendResponse(referenceResult);
-          break;
-          
-        case 'closeReferenceWindow':
-          const closeResult = await closeReferenceWindow(request.windowId);
-          sendResponse(closeResult);
-          break;
-          
-        case 'closeAllReferenceWindows':
-          const closeAllResult = await closeAllReferenceWindows();
-          sendResponse(closeAllResult);
-          break;
-          
-        case 'getReferenceWindows':
-          const refWindows = getReferenceWindows();
-          sendResponse(refWindows);
-          break;
-          
-        default:
-          sendResponse({ success: false, error: 'Unknown action' });
+      for (let i = 0; i < tabIds.length; i++) {
+        const paneWindow = await chrome.windows.create({
+          tabId: tabIds[i],
+          ...paneBounds[i],
+          focused: i === 0
+        });
+        windowIds.push(paneWindow.id);
       }
     } catch (error) {
-      console.error('Error handling message:', error);
-      sendResponse({ success: false, error: error.message });
+      console.error('Layout failed partway, rolling back:', error);
+      return createRollbackResponse(error, await rollbackSplit(splitSession, windowIds));
     }
-  })();
-  
-  // Return true to indicate we will send a response asynchronously
-  return true;
-});
 
-// Handle window close events to clean up reference windows
-chrome.windows.onRemoved.addListener((windowId) => {
-  if (referenceWindows.has(windowId)) {
-    referenceWindows.delete(windowId);
-    console.log('Reference window closed and removed from tracking:', windowId);
-  }
-});
+    await recordSplitSession(splitSession, windowIds, { layout: layout, ratio: null });
 
-// Handle extension installation
-chrome.runtime.onInstalled.addListener((details) => {
-  if (details.reason === 'install') {
-    console.log('Tab Splitter extension installed');
+    // Close the original window if every tab it held was moved out
+    const originalTabs = currentWindow.tabs || [];
+    if (originalTabs.every(tab => tabIds.includes(tab.id))) {
+      await chrome.windows.remove(currentWindow.id).catch(() => {});
+    }
+
+    console.log('Layout applied:', { layout, tabIds, windowIds });
+    return { success: true, layout: layout, windows: windowIds, sessionId: splitSession.id };
+
+  } catch (error) {
+    console.error('Error applying layout:', error);
+    return createExceptionResponse(error);
   }
+}
+
+/**
+ * Snapshot the original window and tab state before a split moves tabs out
+ * @param {Object} currentWindow - Window being split (populated with tabs)
+ * @param {Array<number>} tabIds - IDs of the tabs that will be moved
+ * @returns {Promise<Object>} Split session record (without window IDs yet)
+ */
+async function captureSplitSession(currentWindow, tabIds) {
+  const tabs = await Promise.all(tabIds.map(async tabId => {
+    const tab = await chrome.tabs.get(tabId);
+    let group = null;
+
+    if (tab.groupId !== undefined && tab.groupId !== chrome.tabGroups.TAB_GROUP_ID_NONE) {
+      const tabGroup = await chrome.tabGroups.get(tab.groupId);
+      group = { id: tabGroup.id, title: tabGroup.title, color: tabGroup.color, collapsed: tabGroup.collapsed };
+    }
+
+    return { tabId: tab.id, windowId: tab.windowId, index: tab.index, pinned: tab.pinned, group: group };
+  }));
+
+  return {
+    id: `split-${Date.now()}`,
+    originalWindowId: currentWindow.id,
+    originalBounds: {
+      left: currentWindow.left,
+      top: currentWindow.top,
+      width: currentWindow.width,
+      height: currentWindow.height,
+      state: currentWindow.state
+    },
+    tabs: tabs,
+    windowIds: [],
+    createdAt: Date.now()
+  };
+}
+
+/**
+ * Register a completed split session
+ * @param {Object} session - Session from captureSplitSession
+ * @param {Array<number>} windowIds - IDs of the windows the split created
+ * @param {Object} arrangement - How the windows were arranged ({ layout, ratio })
+ * @returns {Promise<void>}
+ */
+async function recordSplitSession(session, windowIds, arrangement) {
+  session.windowIds = windowIds;
+  session.layout = arrangement.layout;
+  session.ratio = arrangement.ratio;
+  splitSessions.set(session.id, session);
+  await saveSplitSessions();
+}
+
+/**
+ * Get the most recently created split session
+ * @returns {Object|null} Split session record
+ */
+function getLatestSplitSession() {
+  const sessions = Array.from(splitSessions.values());
+  return sessions.length > 0 ? sessions[sessions.length - 1] : null;
+}
+
+/**
+ * Get list of split sessions that can be undone
+ * @returns {Object} Object with split session summaries
+ */
+function getSplitSessions() {
+  const sessions = Array.from(splitSessions.values()).map(session => ({
+    id: session.id,
+    tabCount: session.tabs.length,
+    windowIds: session.windowIds,
+    syncScroll: Boolean(session.syncScroll),
+    createdAt: session.createdAt
+  }));
+
+  return { success: true, sessions: sessions, count: sessions.length };
+}
+
+/**
+ * Find the split session a window belongs to
+ * @param {number} windowId - Window ID
+ * @returns {Object|null} Split session record
+ */
+function findSplitSessionForWindow(windowId) {
+  return Array.from(splitSessions.values()).find(session => session.windowIds.includes(windowId)) || null;
+}
+
+/**
+ * Get the active tab of each window of a split session
+ * @param {Object} session - Split session record
+ * @returns {Promise<Array<Object>>} Active tabs in pane order
+ */
+async function getSessionActiveTabs(session) {
+  const tabs = await Promise.all(session.windowIds.map(async windowId => {
+    const [tab] = await chrome.tabs.query({ windowId: windowId, active: true });
+    return tab;
+  }));
+  return tabs.filter(Boolean);
+}
+
+/**
+ * Turn linked scrolling on or off for the panes of a split session
+ * @param {string} [sessionId] - Session to change; defaults to the latest one
+ * @param {boolean} enabled - Whether scrolling should be linked
+ * @returns {Promise<Object>} Result object with success status
+ */
+async function setSyncScroll(sessionId, enabled) {
+  try {
+    const session = sessionId ? splitSessions.get(sessionId) : getLatestSplitSession();
+    if (!session || session.windowIds.length < 2) {
+      return createErrorResponse(ERROR_CODES.NO_SPLIT, 'No split to link');
+    }
+
+    session.syncScroll = Boolean(enabled);
+    await saveSplitSessions();
+
+    // Tell each pane so it can start reporting and show its indicator
+    const tabs = await getSessionActiveTabs(session);
+    await Promise.all(tabs.map(async tab => {
+      const probe = session.syncScroll ? await probeContentScript(tab) : { available: true };
+      if (probe.available) {
+        await pushSyncScrollState(tab, session.syncScroll);
+      } else {
+        console.log('Pane cannot link scrolling:', tab.id, probe.reason);
+      }
+    }));
+
+    return { success: true, sessionId: session.id, syncScroll: session.syncScroll };
+
+  } catch (error) {
+    console.error('Error setting linked scrolling:', error);
+    return createExceptionResponse(error);
+  }
+}
+
+/**
+ * Tell a pane's tab to start or stop linking its scrolling
+ * @param {Object} tab - Active tab of a pane window
+ * @param {boolean} enabled - Whether scrolling is linked
+ * @returns {Promise<void>}
+ */
+async function pushSyncScrollState(tab, enabled) {
+  if (enabled) {
+    syncScrollTabs.set(tab.windowId, tab.id);
+  } else if (syncScrollTabs.get(tab.windowId) === tab.id) {
+    syncScrollTabs.delete(tab.windowId);
+  }
+
+  await sendTabMessage(tab.id, { action: 'setSyncScroll', enabled: enabled })
+    .catch(() => console.log('Pane cannot link scrolling:', tab.id));
+}
+
+/**
+ * Link the scrolling of a tab that became visible in, or reloaded in, a linked pane,
+ * and unlink the tab it replaced
+ * @param {Object} tab - Active tab of the window
+ * @returns {Promise<void>}
+ */
+async function updatePaneSyncScroll(tab) {
+  const session = findSplitSessionForWindow(tab.windowId);
+  if (!session || !session.syncScroll) return;
+
+  const previousTabId = syncScrollTabs.get(tab.windowId);
+  if (previousTabId !== undefined && previousTabId !== tab.id) {
+    await pushSyncScrollState({ id: previousTabId, windowId: tab.windowId }, false);
+  }
+
+  await pushSyncScrollState(tab, true);
+}
+
+/**
+ * Relay a pane's scroll position to the other panes of its split session
+ * @param {Object} tab - Tab that scrolled
+ * @param {Object} position - Scroll position ({ proportion, anchor })
+ * @returns {Promise<Object>} Result object with the number of panes updated
+ */
+async function relaySyncScroll(tab, position) {
+  try {
+    const session = tab ? findSplitSessionForWindow(tab.windowId) : null;
+    if (!session || !session.syncScroll) {
+      return createErrorResponse(ERROR_CODES.NO_SPLIT, 'Scrolling is not linked for this tab');
+    }
+
+    const partners = (await getSessionActiveTabs(session)).filter(partner => partner.id !== tab.id);
+    await Promise.all(partners.map(partner =>
+      sendTabMessage(partner.id, { action: 'applySyncScroll', ...position }).catch(() => null)
+    ));
+
+    return { success: true, relayedCount: partners.length };
+
+  } catch (error) {
+    console.error('Error relaying scroll position:', error);
+    return createExceptionResponse(error);
+  }
+}
+
+/**
+ * Extract the text of both panes of a split and open the compare page
+ * @param {string} [sessionId] - Session to compare; defaults to the latest one
+ * @returns {Promise<Object>} Result object with the compare window ID
+ */
+async function comparePanes(sessionId) {
+  try {
+    const session = sessionId ? splitSessions.get(sessionId) : getLatestSplitSession();
+    if (!session || session.windowIds.length < 2) {
+      return createErrorResponse(ERROR_CODES.NO_SPLIT, 'No split to compare');
+    }
+
+    const tabs = (await getSessionActiveTabs(session)).slice(0, 2);
+    if (tabs.length < 2) {
+      return createErrorResponse(ERROR_CODES.WINDOW_NOT_FOUND, 'Could not find both panes');
+    }
+
+    const panes = [];
+    for (const tab of tabs) {
+      const probe = await probeContentScript(tab);
+      if (!probe.available) {
+        return createErrorResponse(ERROR_CODES.TAB_RESTRICTED, `Cannot read the content of "${tab.title}": ${probe.reason}`);
+      }
+
+      let page;
+      try {
+        page = await sendTabMessage(tab.id, { action: 'getPageInfo', includeContent: true });
+      } catch (error) {
+        return createErrorResponse(ERROR_CODES.TAB_RESTRICTED, `Cannot read the content of "${tab.title}"`);
+      }
+
+      panes.push({
+        tabId: tab.id,
+        title: page.title || tab.title,
+        url: page.url || tab.url,
+        blocks: page.content || []
+      });
+    }
+
+    // Kept in session storage so the compare page survives a reload
+    await chrome.storage.session.set({
+      [COMPARE_REPORT_STORAGE_KEY]: {
+        sessionId: session.id,
+        left: panes[0],
+        right: panes[1],
+        createdAt: Date.now()
+      }
+    });
+
+    const compareWindow = await chrome.windows.create({
+      url: chrome.runtime.getURL('compare.html'),
+      focused: true
+    });
+
+    return { success: true, sessionId: session.id, windowId: compareWindow.id };
+
+  } catch (error) {
+    console.error('Error comparing panes:', error);
+    return createExceptionResponse(error);
+  }
+}
+
+/**
+ * Get the texts captured by the last compare
+ * @returns {Promise<Object>} Object with the compare report
+ */
+async function getCompareReport() {
+  try {
+    const stored = await chrome.storage.session.get(COMPARE_REPORT_STORAGE_KEY);
+    const report = stored[COMPARE_REPORT_STORAGE_KEY];
+    if (!report) {
+      return createErrorResponse(ERROR_CODES.NO_SPLIT, 'No comparison available');
+    }
+    return { success: true, report: report };
+  } catch (error) {
+    console.error('Error reading compare report:', error);
+    return createExceptionResponse(error);
+  }
+}
+
+/**
+ * Bring a compared tab to the front and scroll it to one of its text blocks
+ * @param {number} tabId - Tab the block came from
+ * @param {number} index - Block index from the compare report
+ * @returns {Promise<Object>} Result object with success status
+ */
+async function revealCompareBlock(tabId, index) {
+  try {
+    const tab = await chrome.tabs.get(tabId);
+    await chrome.windows.update(tab.windowId, { focused: true });
+    await chrome.tabs.update(tabId, { active: true });
+
+    return await sendTabMessage(tabId, { action: 'revealBlock', index: index });
+
+  } catch (error) {
+    console.error('Error revealing compared text:', error);
+    return createExceptionResponse(error);
+  }
+}
+
+/**
+ * Split the active tab of the current window with the tab after it
+ * @param {number} [ratio] - Fraction of the width given to the left window
+ * @returns {Promise<Object>} Result of the split
+ */
+async function quickSplit(ratio) {
+  const tabs = await getCurrentWindowTabs();
+  if (tabs.length < 2) {
+    return createErrorResponse(ERROR_CODES.NOT_ENOUGH_TABS, 'Need at least 2 tabs to split');
+  }
+
+  const currentIndex = tabs.findIndex(tab => tab.active);
+  const leftTab = tabs[currentIndex];
+  const rightTab = tabs[currentIndex + 1] || tabs[0];
+  return splitWindow(leftTab.id, rightTab.id, ratio);
+}
+
+/**
+ * Get the on-screen bounds of a window
+ * @param {Object} window - Window object
+ * @returns {Object} Bounds ({ left, top, width, height })
+ */
+function getWindowBounds({ left, top, width, height }) {
+  return { left, top, width, height };
+}
+
+/**
+ * Swap the first two panes of a split session
+ * @param {string} [sessionId] - Session to swap; defaults to the latest one
+ * @param {string} [mode='bounds'] - 'bounds' swaps window positions, 'tabs' exchanges the active tabs
+ * @returns {Promise<Object>} Result object with success status
+ */
+async function swapPanes(sessionId, mode = 'bounds') {
+  try {
+    const session = sessionId ? splitSessions.get(sessionId) : getLatestSplitSession();
+    if (!session || session.windowIds.length < 2) {
+      return createErrorResponse(ERROR_CODES.NO_SPLIT, 'No split to swap');
+    }
+
+    const [firstWindowId, secondWindowId] = session.windowIds;
+
+    if (mode === 'tabs' && await swapActiveTabs(firstWindowId, secondWindowId)) {
+      return { success: true, sessionId: session.id, mode: 'tabs' };
+    }
+
+    // Swapping two windows' bounds is a rotation of just those two panes
+    await rotateWindowBounds([firstWindowId, secondWindowId]);
+    session.windowIds = [secondWindowId, firstWindowId, ...session.windowIds.slice(2)];
+    await saveSplitSessions();
+
+    return { success: true, sessionId: session.id, mode: 'bounds' };
+
+  } catch (error) {
+    console.error('Error swapping panes:', error);
+    return createExceptionResponse(error);
+  }
+}
+
+/**
+ * Exchange the active tabs of two windows
+ * @param {number} firstWindowId - First window
+ * @param {number} secondWindowId - Second window
+ * @returns {Promise<boolean>} False when both windows hold a single tab, which cannot be moved without closing them
+ */
+async function swapActiveTabs(firstWindowId, secondWindowId) {
+  const firstTabs = await chrome.tabs.query({ windowId: firstWindowId });
+  const secondTabs = await chrome.tabs.query({ windowId: secondWindowId });
+  if (firstTabs.length === 1 && secondTabs.length === 1) {
+    return false;
+  }
+
+  // Move out of the window with spare tabs first so neither window is ever emptied
+  const firstTab = firstTabs.find(tab => tab.active);
+  const secondTab = secondTabs.find(tab => tab.active);
+  const [movingTab, stayingTab] = secondTabs.length > 1 ? [secondTab, firstTab] : [firstTab, secondTab];
+
+  await chrome.tabs.move(movingTab.id, { windowId: stayingTab.windowId, index: stayingTab.index + 1 });
+  await chrome.tabs.move(stayingTab.id, { windowId: movingTab.windowId, index: movingTab.index });
+  await chrome.tabs.update(movingTab.id, { active: true });
+  await chrome.tabs.update(stayingTab.id, { active: true });
+
+  return true;
+}
+
+/**
+ * Move each window into the bounds of the next one in the list
+ * @param {Array<number>} windowIds - Windows in pane order
+ * @returns {Promise<void>}
+ */
+async function rotateWindowBounds(windowIds) {
+  const windows = await Promise.all(windowIds.map(windowId => chrome.windows.get(windowId)));
+  const bounds = windows.map(getWindowBounds);
+
+  for (let i = 0; i < windows.length; i++) {
+    await chrome.windows.update(windows[i].id, bounds[(i + 1) % bounds.length]);
+  }
+}
+
+/**
+ * Rotate every pane of a split session one position
+ * @param {string} [sessionId] - Session to rotate; defaults to the latest one
+ * @param {string} [direction='forward'] - 'forward' moves each pane to the next position, 'backward' to the previous
+ * @returns {Promise<Object>} Result object with success status
+ */
+async function rotatePanes(sessionId, direction = 'forward') {
+  try {
+    const session = sessionId ? splitSessions.get(sessionId) : getLatestSplitSession();
+    if (!session || session.windowIds.length < 2) {
+      return createErrorResponse(ERROR_CODES.NO_SPLIT, 'No split to rotate');
+    }
+
+    if (!['forward', 'backward'].includes(direction)) {
+      return createErrorResponse(ERROR_CODES.INVALID_INPUT, `Unknown direction: ${direction}`);
+    }
+
+    // Rotating backward is rotating the reversed pane order forward
+    const order = direction === 'forward' ? session.windowIds : [...session.windowIds].reverse();
+    await rotateWindowBounds(order);
+
+    // Keep windowIds in on-screen pane order
+    const rotated = [order[order.length - 1], ...order.slice(0, -1)];
+    session.windowIds = direction === 'forward' ? rotated : rotated.reverse();
+    await saveSplitSessions();
+
+    return { success: true, sessionId: session.id, direction: direction };
+
+  } catch (error) {
+    console.error('Error rotating panes:', error);
+    return createExceptionResponse(error);
+  }
+}
+
+/**
+ * Merge the windows of a split session back into a single window
+ * @param {string} [sessionId] - Session to undo; defaults to the latest one
+ * @returns {Promise<Object>} Result object with success status and window ID
+ */
+async function unsplit(sessionId) {
+  try {
+    const session = sessionId ? splitSessions.get(sessionId) : getLatestSplitSession();
+    if (!session) {
+      return createErrorResponse(ERROR_CODES.NO_SPLIT, 'No split to undo');
+    }
+
+    // Only tabs that are still open can be moved back
+    const openTabs = [];
+    for (const record of session.tabs) {
+      try {
+        await chrome.tabs.get(record.tabId);
+        openTabs.push(record);
+      } catch (error) {
+        console.log('Tab closed since split, skipping:', record.tabId);
+      }
+    }
+
+    if (openTabs.length === 0) {
+      splitSessions.delete(session.id);
+      await saveSplitSessions();
+      return createErrorResponse(ERROR_CODES.TAB_NOT_FOUND, 'All tabs from this split have been closed');
+    }
+
+    if (session.syncScroll) {
+      const tabs = await getSessionActiveTabs(session);
+      await Promise.all(tabs.map(tab => pushSyncScrollState(tab, false)));
+    }
+
+    const targetWindowId = await returnSplitTabs(session, openTabs);
+
+    const { state } = session.originalBounds;
+    await chrome.windows.update(targetWindowId, {
+      focused: true,
+      ...(state && state !== 'normal' ? { state: state } : {})
+    });
+
+    splitSessions.delete(session.id);
+    await saveSplitSessions();
+
+    console.log('Split undone:', { sessionId: session.id, windowId: targetWindowId, tabCount: openTabs.length });
+    return { success: true, windowId: targetWindowId, restoredTabs: openTabs.length };
+
+  } catch (error) {
+    console.error('Error undoing split:', error);
+    return createExceptionResponse(error);
+  }
+}
+
+/**
+ * Move tabs of a split session back where they came from: tabs picked from other
+ * windows return to those windows while they are open, the rest to the original
+ * window, which is recreated if it has closed
+ * @param {Object} session - Split session holding the tabs' original state
+ * @param {Array<Object>} tabRecords - Records of the open tabs to move back
+ * @returns {Promise<number>} ID of the window holding the original window's tabs,
+ *   or of one the tabs returned to when none came from the original window
+ */
+async function returnSplitTabs(session, tabRecords) {
+  // Tabs picked from other windows go back to those windows while they are still open
+  const homeTabs = [];
+  const awayTabs = new Map(); // windowId -> tab records
+  for (const record of tabRecords) {
+    const ownWindowOpen = record.windowId !== session.originalWindowId &&
+      await chrome.windows.get(record.windowId).then(() => true, () => false);
+
+    if (ownWindowOpen) {
+      if (!awayTabs.has(record.windowId)) {
+        awayTabs.set(record.windowId, []);
+      }
+      awayTabs.get(record.windowId).push(record);
+    } else {
+      homeTabs.push(record);
+    }
+  }
+
+  for (const [windowId, records] of awayTabs) {
+    await returnTabsToWindow(records, windowId);
+  }
+
+  // Reuse the original window if it survived the split, otherwise recreate it
+  let targetWindowId = awayTabs.keys().next().value;
+
+  if (homeTabs.length > 0) {
+    try {
+      await chrome.windows.get(session.originalWindowId);
+      targetWindowId = session.originalWindowId;
+    } catch (error) {
+      const { state, ...bounds } = session.originalBounds;
+      const restoredWindow = await chrome.windows.create({
+        tabId: homeTabs[0].tabId,
+        ...bounds,
+        focused: true
+      });
+      targetWindowId = restoredWindow.id;
+    }
+
+    await returnTabsToWindow(homeTabs, targetWindowId);
+  }
+
+  return targetWindowId;
+}
+
+/**
+ * Undo a split that failed partway: move every tab that already left back to
+ * its old window and position, and close the windows the split created
+ * @param {Object} session - Split session from captureSplitSession
+ * @param {Array<number>} windowIds - Windows created before the failure
+ * @returns {Promise<Object>} What was rolled back ({ tabCount, windowCount, error })
+ */
+async function rollbackSplit(session, windowIds) {
+  const rollback = { tabCount: 0, windowCount: 0, error: null };
+
+  try {
+    const movedTabs = [];
+    for (const record of session.tabs) {
+      const tab = await chrome.tabs.get(record.tabId).catch(() => null);
+      if (tab && tab.windowId !== record.windowId) {
+        movedTabs.push(record);
+      }
+    }
+
+    if (movedTabs.length > 0) {
+      const targetWindowId = await returnSplitTabs(session, movedTabs);
+      await chrome.windows.update(targetWindowId, { focused: true });
+      rollback.tabCount = movedTabs.length;
+    }
+
+    // Windows left empty closed with their last tab; close any the split still holds open
+    for (const windowId of windowIds) {
+      const isOpen = await chrome.windows.get(windowId).then(() => true, () => false);
+      if (!isOpen) continue;
+
+      try {
+        await chrome.windows.remove(windowId);
+        rollback.windowCount++;
+      } catch (error) {
+        console.log('Could not close split window during rollback:', windowId, error.message);
+      }
+    }
+  } catch (error) {
+    console.error('Error rolling back split:', error);
+    rollback.error = error.message;
+  }
+
+  console.log('Split rolled back:', { sessionId: session.id, ...rollback });
+  return rollback;
+}
+
+/**
+ * Build the failed response for a split that was rolled back
+ * @param {Error} error - Error that stopped the split
+ * @param {Object} rollback - Result of rollbackSplit
+ * @returns {Object} Failed response describing the cause and what was undone
+ */
+function createRollbackResponse(error, rollback) {
+  const response = createExceptionResponse(error);
+  const undoneParts = [];
+  if (rollback.tabCount > 0) {
+    undoneParts.push(`moved ${rollback.tabCount} tab${rollback.tabCount === 1 ? '' : 's'} back`);
+  }
+  if (rollback.windowCount > 0) {
+    undoneParts.push(`closed ${rollback.windowCount} new window${rollback.windowCount === 1 ? '' : 's'}`);
+  }
+  const undone = undoneParts.length > 0 ? undoneParts.join(' and ') : 'nothing had changed yet';
+
+  response.error = rollback.error
+    ? `Split failed (${error.message}) and could not be fully undone (${rollback.error})`
+    : `Split failed (${error.message}); ${undone}`;
+  response.rolledBack = rollback;
+  return response;
+}
+
+/**
+ * Move tabs back into a window at their old positions, restoring pins and groups
+ * @param {Array<Object>} tabRecords - Tab records from a split session
+ * @param {number} windowId - Window to return the tabs to
+ * @returns {Promise<void>}
+ */
+async function returnTabsToWindow(tabRecords, windowId) {
+  // Moving in ascending index order puts every tab back at its old position
+  const records = [...tabRecords].sort((a, b) => a.index - b.index);
+  for (const record of records) {
+    await chrome.tabs.move(record.tabId, { windowId: windowId, index: record.index });
+  }
+
+  for (const record of records) {
+    if (record.pinned) {
+      await chrome.tabs.update(record.tabId, { pinned: true });
+    }
+  }
+  await restoreTabGroups(records, windowId);
+}
+
+/**
+ * Regroup moved tabs, reusing their old group if it is already in the window
+ * @param {Array<Object>} tabRecords - Tab records from a split session
+ * @param {number} windowId - Window the tabs were moved to
+ * @returns {Promise<void>}
+ */
+async function restoreTabGroups(tabRecords, windowId) {
+  const groups = new Map();
+  tabRecords.filter(record => record.group).forEach(record => {
+    if (!groups.has(record.group.id)) {
+      groups.set(record.group.id, { group: record.group, tabIds: [] });
+    }
+    groups.get(record.group.id).tabIds.push(record.tabId);
+  });
+
+  for (const { group, tabIds } of groups.values()) {
+    try {
+      const existingGroup = await chrome.tabGroups.get(group.id).catch(() => null);
+      if (existingGroup && existingGroup.windowId === windowId) {
+        await chrome.tabs.group({ groupId: group.id, tabIds: tabIds });
+      } else {
+        const groupId = await chrome.tabs.group({ tabIds: tabIds, createProperties: { windowId: windowId } });
+        await chrome.tabGroups.update(groupId, { title: group.title, color: group.color, collapsed: group.collapsed });
+      }
+    } catch (error) {
+      console.error('Error restoring tab group:', error);
+    }
+  }
+}
+
+/**
+ * Convert a blob to a base64 data URL
+ * @param {Blob} blob - Blob to convert
+ * @returns {Promise<string>} Data URL
+ */
+async function blobToDataUrl(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let binary = '';
+
+  // Convert in chunks to stay under the argument limit of String.fromCharCode
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+
+  return `data:${blob.type};base64,${btoa(binary)}`;
+}
+
+/**
+ * Scale a full-size screenshot down to thumbnail width
+ * @param {string} screenshotUrl - Data URL returned by captureVisibleTab
+ * @returns {Promise<string>} Thumbnail data URL
+ */
+async function createThumbnail(screenshotUrl) {
+  const screenshot = await (await fetch(screenshotUrl)).blob();
+  const bitmap = await createImageBitmap(screenshot);
+  const scale = THUMBNAIL_WIDTH / bitmap.width;
+
+  const canvas = new OffscreenCanvas(THUMBNAIL_WIDTH, Math.round(bitmap.height * scale));
+  canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close();
+
+  const thumbnail = await canvas.convertToBlob({ type: 'image/jpeg', quality: 0.7 });
+  return blobToDataUrl(thumbnail);
+}
+
+/**
+ * Capture a thumbnail of a tab, provided it is still the visible tab of its window
+ * @param {number} tabId - Tab to capture
+ * @param {number} windowId - Window the tab is visible in
+ * @returns {Promise<void>}
+ */
+async function captureTabThumbnail(tabId, windowId) {
+  try {
+    const tab = await chrome.tabs.get(tabId);
+    if (!tab.active || tab.windowId !== windowId) {
+      return;
+    }
+
+    const screenshotUrl = await chrome.tabs.captureVisibleTab(windowId, { format: 'jpeg', quality: 80 });
+    const dataUrl = await createThumbnail(screenshotUrl);
+
+    await stateReady;
+    const thumbnail = { dataUrl: dataUrl, capturedAt: Date.now() };
+    tabThumbnails.delete(tabId);
+    tabThumbnails.set(tabId, thumbnail);
+
+    // Evict the oldest snapshots; Map iteration follows insertion order
+    const evictedTabIds = [];
+    while (tabThumbnails.size > MAX_THUMBNAILS) {
+      const oldestTabId = tabThumbnails.keys().next().value;
+      tabThumbnails.delete(oldestTabId);
+      evictedTabIds.push(oldestTabId);
+    }
+
+    await saveTabThumbnail(tabId, thumbnail);
+    if (evictedTabIds.length > 0) {
+      await removeTabThumbnails(evictedTabIds);
+    }
+  } catch (error) {
+    // chrome:// pages, the Web Store and closed tabs cannot be captured
+    console.log('Could not capture tab thumbnail:', tabId, error.message);
+  }
+}
+
+/**
+ * Schedule a thumbnail capture, replacing any pending capture for the same window
+ * @param {number} tabId - Tab to capture
+ * @param {number} windowId - Window the tab is visible in
+ */
+function scheduleThumbnailCapture(tabId, windowId) {
+  clearTimeout(pendingThumbnailCaptures.get(windowId));
+  pendingThumbnailCaptures.set(windowId, setTimeout(() => {
+    pendingThumbnailCaptures.delete(windowId);
+    captureTabThumbnail(tabId, windowId);
+  }, THUMBNAIL_CAPTURE_DELAY));
+}
+
+/**
+ * Get cached thumbnails, refreshing the active tab of the current window first
+ * @param {Array<number>} tabIds - Tabs to return thumbnails for
+ * @returns {Promise<Object>} Object with a tabId -> data URL map
+ */
+async function getTabThumbnails(tabIds) {
+  try {
+    const [activeTab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+    if (activeTab) {
+      await captureTabThumbnail(activeTab.id, activeTab.windowId);
+    }
+
+    const thumbnails = {};
+    (tabIds || []).forEach(tabId => {
+      if (tabThumbnails.has(tabId)) {
+        thumbnails[tabId] = tabThumbnails.get(tabId).dataUrl;
+      }
+    });
+
+    return { success: true, thumbnails: thumbnails };
+  } catch (error) {
+    console.error('Error getting tab thumbnails:', error);
+    return createExceptionResponse(error);
+  }
+}
+
+/**
+ * Get all tabs in current window
+ * @returns {Promise<Array>} Array of tab objects
+ */
+async function getCurrentWindowTabs() {
+  try {
+    const currentWindow = await chrome.windows.getCurrent({ populate: true });
+    return currentWindow.tabs || [];
+  } catch (error) {
+    console.error('Error getting current window tabs:', error);
+    return [];
+  }
+}
+
+/**
+ * Get the tab groups of the current window
+ * @returns {Promise<Object>} Object with tab groups ({ id, title, color, collapsed })
+ */
+async function getTabGroups() {
+  try {
+    const currentWindow = await chrome.windows.getCurrent();
+    const groups = await chrome.tabGroups.query({ windowId: currentWindow.id });
+    return { success: true, groups: groups, count: groups.length };
+  } catch (error) {
+    console.error('Error getting tab groups:', error);
+    return createExceptionResponse(error);
+  }
+}
+
+/**
+ * Get the tabs of every normal window, current window first
+ * @returns {Promise<Object>} Object with windows ({ id, current, isReference, tabs })
+ */
+async function getAllTabs() {
+  try {
+    const currentWindow = await chrome.windows.getCurrent();
+    const allWindows = await chrome.windows.getAll({ populate: true, windowTypes: ['normal'] });
+
+    const fileAccess = await chrome.extension.isAllowedFileSchemeAccess();
+
+    // Mark tabs where notifications, peeking, linked scrolling and comparing cannot work;
+    // only the URL is checked here, the live probe is left to features about to message a tab
+    const windows = allWindows.map(browserWindow => ({
+      id: browserWindow.id,
+      current: browserWindow.id === currentWindow.id,
+      isReference: referenceWindows.has(browserWindow.id),
+      tabs: (browserWindow.tabs || []).map(tab => ({
+        ...tab,
+        contentRestriction: getContentRestriction(tab.url || tab.pendingUrl, fileAccess)
+      }))
+    }));
+    windows.sort((a, b) => Number(b.current) - Number(a.current));
+
+    const tabCount = windows.reduce((count, entry) => count + entry.tabs.length, 0);
+    return { success: true, windows: windows, count: tabCount };
+  } catch (error) {
+    console.error('Error getting all tabs:', error);
+    return createExceptionResponse(error);
+  }
+}
+
+/**
+ * Get tab information by ID
+ * @param {number} tabId - Tab ID
+ * @returns {Promise<Object>} Tab object
+ */
+async function getTabInfo(tabId) {
+  try {
+    return await chrome.tabs.get(tabId);
+  } catch (error) {
+    console.error('Error getting tab info:', error);
+    return null;
+  }
+}
+
+/**
+ * Explain why Chrome will not run the content script on a URL
+ * @param {string} url - Tab URL
+ * @param {boolean} fileAccess - Whether the user allowed access to file URLs
+ * @returns {string|null} Reason, or null when the URL can host the content script
+ */
+function getContentRestriction(url, fileAccess) {
+  if (!url) return null;
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return 'Not a web page';
+  }
+
+  if (parsed.protocol === 'file:') {
+    return fileAccess ? null : 'Allow access to file URLs for Tab Splitter at chrome://extensions';
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    return 'Browser and extension pages cannot run extensions';
+  }
+  if (WEB_STORE_URLS.some(prefix => url.startsWith(prefix))) {
+    return 'The Chrome Web Store does not allow extensions to run';
+  }
+  if (parsed.pathname.toLowerCase().endsWith('.pdf')) {
+    return 'PDFs open in the built-in viewer, which extensions cannot run in';
+  }
+
+  return null;
+}
+
+/**
+ * Find out whether a tab's content script is running, so in-page features can be used
+ * @param {Object} tab - Tab to probe
+ * @param {boolean} [fileAccess] - Whether the user allowed access to file URLs; looked up when omitted
+ * @returns {Promise<Object>} Probe result ({ available, reason })
+ */
+async function probeContentScript(tab, fileAccess) {
+  if (fileAccess === undefined) {
+    fileAccess = await chrome.extension.isAllowedFileSchemeAccess();
+  }
+
+  const restriction = getContentRestriction(tab.url || tab.pendingUrl, fileAccess);
+  if (restriction) {
+    return { available: false, reason: restriction };
+  }
+
+  // Unloaded and loading tabs get the content script once the page loads
+  if (tab.discarded || tab.status !== 'complete') {
+    return { available: true, reason: null };
+  }
+
+  let timeout = null;
+  try {
+    const response = await Promise.race([
+      sendTabMessage(tab.id, { action: 'ping' }),
+      new Promise((resolve, reject) => {
+        timeout = setTimeout(() => reject(new Error('No answer')), CONTENT_PROBE_TIMEOUT);
+      })
+    ]);
+    if (response && response.success) {
+      return { available: true, reason: null };
+    }
+  } catch (error) {
+    // No content script, or an outdated one left behind by an extension update
+  } finally {
+    clearTimeout(timeout);
+  }
+
+  return { available: false, reason: 'The page was opened before Tab Splitter was installed or updated; reload it' };
+}
+
+/**
+ * Show a message outside the page, for tabs without the content script
+ * @param {number} tabId - Tab the message is about
+ * @param {string} message - Message to show
+ * @param {string} type - Message type (success, error, info)
+ * @returns {Promise<void>}
+ */
+async function showFallbackNotification(tabId, message, type) {
+  try {
+    await chrome.notifications.create({
+      type: 'basic',
+      iconUrl: chrome.runtime.getURL(NOTIFICATION_ICON),
+      title: 'Tab Splitter',
+      message: message,
+      priority: type === 'error' ? 1 : 0
+    });
+  } catch (error) {
+    console.log('Could not show notification, using the badge:', error.message);
+    await showBadgeNotification(tabId, message, type);
+  }
+}
+
+/**
+ * Flag a message on the toolbar icon, with the text in its tooltip
+ * @param {number} tabId - Tab whose badge to set
+ * @param {string} message - Message for the tooltip
+ * @param {string} type - Message type (success, error, info)
+ * @returns {Promise<void>}
+ */
+async function showBadgeNotification(tabId, message, type) {
+  try {
+    await chrome.action.setBadgeBackgroundColor({ tabId: tabId, color: BADGE_COLORS[type] });
+    await chrome.action.setBadgeText({ tabId: tabId, text: BADGE_TEXT[type] });
+    await chrome.action.setTitle({ tabId: tabId, title: message });
+
+    setTimeout(() => {
+      chrome.action.setBadgeText({ tabId: tabId, text: '' }).catch(() => {});
+      chrome.action.setTitle({ tabId: tabId, title: chrome.runtime.getManifest().action.default_title }).catch(() => {});
+    }, settings.notificationDuration);
+  } catch (error) {
+    console.error('Error setting badge:', error);
+  }
+}
+
+/**
+ * Check whether a URL can be opened as a web page
+ * @param {string} url - URL to check
+ * @returns {boolean} True for http and https URLs
+ */
+function isWebUrl(url) {
+  try {
+    return ['http:', 'https:'].includes(new URL(url).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Turn what was typed into a URL: a web address, a bare host, a keyword search or a plain search
+ * @param {string} input - URL, host, "keyword query" or search text
+ * @returns {string|null} Web URL, or null when there is nothing to open
+ */
+function resolveUrlInput(input) {
+  const text = typeof input === 'string' ? input.trim() : '';
+  if (!text) return null;
+
+  if (isWebUrl(text)) return text;
+
+  const [keyword, ...terms] = text.split(/\s+/);
+  const template = URL_TEMPLATES[keyword.toLowerCase()];
+  if (template && terms.length > 0) {
+    return template.replace('%s', encodeURIComponent(terms.join(' ')));
+  }
+
+  // Hosts without a scheme, such as example.com/docs or localhost:3000
+  if (!/\s/.test(text) && /^([\w-]+\.)+[a-z]{2,}(:\d+)?([/?#]|$)|^localhost(:\d+)?([/?#]|$)/i.test(text)) {
+    const url = (/^localhost/i.test(text) ? 'http://' : 'https://') + text;
+    if (isWebUrl(url)) return url;
+  }
+
+  return URL_TEMPLATES[DEFAULT_URL_TEMPLATE].replace('%s', encodeURIComponent(text));
+}
+
+/**
+ * Start watching for a tab's page to start loading, or fail to, before the tab exists,
+ * so a commit or error that fires while the tab is being created is not missed
+ * @returns {Object} Watcher with waitForTab(tabId), resolving to { committed } once the
+ *   page commits or the wait times out or to { error } if it fails, and stop()
+ */
+function watchNavigationCommit() {
+  const earlyResults = new Map(); // tabId -> first main-frame outcome seen before waitForTab
+  let watchedTabId = null;
+  let settle = null;
+  let timeout = null;
+
+  const stop = () => {
+    clearTimeout(timeout);
+    chrome.webNavigation.onCommitted.removeListener(onCommitted);
+    chrome.webNavigation.onErrorOccurred.removeListener(onErrorOccurred);
+  };
+
+  const report = (details, result) => {
+    if (details.frameId !== 0) return;
+
+    if (watchedTabId === null) {
+      if (!earlyResults.has(details.tabId)) {
+        earlyResults.set(details.tabId, result);
+      }
+    } else if (details.tabId === watchedTabId) {
+      stop();
+      settle(result);
+    }
+  };
+
+  const onCommitted = details => report(details, { committed: true });
+  const onErrorOccurred = details => report(details, { committed: false, error: details.error });
+
+  chrome.webNavigation.onCommitted.addListener(onCommitted);
+  chrome.webNavigation.onErrorOccurred.addListener(onErrorOccurred);
+
+  return {
+    waitForTab(tabId) {
+      watchedTabId = tabId;
+      if (earlyResults.has(tabId)) {
+        stop();
+        return Promise.resolve(earlyResults.get(tabId));
+      }
+
+      return new Promise(resolve => {
+        settle = resolve;
+
+        // A slow server is not a failure; split and let the page finish loading in its pane
+        timeout = setTimeout(() => {
+          stop();
+          resolve({ committed: false });
+        }, URL_COMMIT_TIMEOUT);
+      });
+    },
+    stop: stop
+  };
+}
+
+/**
+ * Open a URL in a new tab and split it with an existing tab
+ * @param {number} [tabId] - Tab for the left pane; defaults to the active tab of the current window
+ * @param {string} input - URL, host, "keyword query" or search text for the right pane
+ * @param {number} [ratio] - Fraction of the width given to the left window
+ * @returns {Promise<Object>} Result of the split, with the URL that was opened
+ */
+async function splitWithUrl(tabId, input, ratio) {
+  try {
+    const url = resolveUrlInput(input);
+    if (!url) {
+      return createErrorResponse(ERROR_CODES.INVALID_INPUT, 'Enter a URL or search');
+    }
+
+    const [sourceTab] = tabId
+      ? [await chrome.tabs.get(tabId)]
+      : await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!sourceTab) {
+      return createErrorResponse(ERROR_CODES.TAB_NOT_FOUND, 'No tab to split with');
+    }
+
+    // Load in the background first so an unreachable URL never becomes a pane
+    const watcher = watchNavigationCommit();
+    let urlTab;
+    try {
+      urlTab = await chrome.tabs.create({
+        url: url,
+        windowId: sourceTab.windowId,
+        index: sourceTab.index + 1,
+        active: false
+      });
+    } catch (error) {
+      watcher.stop();
+      throw error;
+    }
+
+    const navigation = await watcher.waitForTab(urlTab.id);
+    if (navigation.error) {
+      await chrome.tabs.remove(urlTab.id).catch(() => {});
+      return { ...createErrorResponse(ERROR_CODES.LOAD_FAILED, `Could not load ${url} (${navigation.error})`), url: url };
+    }
+
+    let result;
+    try {
+      result = await splitWindow(sourceTab.id, urlTab.id, ratio);
+    } catch (error) {
+      await chrome.tabs.remove(urlTab.id).catch(() => {});
+      throw error;
+    }
+
+    // Don't leave the new tab behind when the split is refused
+    if (!result.success) {
+      await chrome.tabs.remove(urlTab.id).catch(() => {});
+    }
+
+    return { ...result, url: url };
+
+  } catch (error) {
+    console.error('Error splitting with URL:', error);
+    return createExceptionResponse(error);
+  }
+}
+
+/**
+ * Create a reference window for a tab, or for a URL that is not open yet
+ * @param {number} [tabId] - ID of the tab to place in reference window
+ * @param {string} [url] - URL to open in the reference window instead of a tab
+ * @param {Object} [options] - Placement options
+ * @param {boolean} [options.otherDisplay] - Place the window on another monitor
+ * @param {string} [options.dockEdge='right'] - Edge of the current window to dock to (left, right, top, bottom)
+ * @returns {Promise<Object>} Result object with success status and window ID
+ */
+async function createReferenceWindow(tabId, url, options = {}) {
+  try {
+    const dockEdge = options.dockEdge || 'right';
+
+    // Validate input
+    if (!DOCK_EDGES.includes(dockEdge)) {
+      return createErrorResponse(ERROR_CODES.INVALID_INPUT, `Dock edge must be one of: ${DOCK_EDGES.join(', ')}`);
+    }
+
+    if (url !== undefined) {
+      if (typeof url !== 'string' || !isWebUrl(url)) {
+        return createErrorResponse(ERROR_CODES.INVALID_INPUT, 'Invalid URL provided');
+      }
+    } else if (!tabId || typeof tabId !== 'number') {
+      return createErrorResponse(ERROR_CODES.INVALID_SELECTION, 'Invalid tab ID provided');
+    }
+
+    // Check if we've reached the maximum number of reference windows
+    if (referenceWindows.size >= settings.maxReferenceWindows) {
+      return createErrorResponse(ERROR_CODES.REFERENCE_LIMIT, `Maximum of ${settings.maxReferenceWindows} reference windows allowed`);
+    }
+
+    // Verify tab exists
+    if (url === undefined) {
+      try {
+        const tab = await chrome.tabs.get(tabId);
+        if (!tab) {
+          return createErrorResponse(ERROR_CODES.TAB_NOT_FOUND, 'Tab not found');
+        }
+      } catch (error) {
+        return createErrorResponse(ERROR_CODES.TAB_RESTRICTED, 'Tab not accessible');
+      }
+    }
+
+    // Get current window information and the display it is on
+    const currentWindow = await chrome.windows.getCurrent({ populate: true });
+    const { width } = currentWindow;
+    const displays = await chrome.system.display.getInfo();
+    const currentDisplay = findDisplayForBounds(displays, currentWindow);
+
+    // Calculate reference window dimensions (configured share of the width, full height)
+    const referenceWidth = Math.floor(width * settings.referenceWidthPercent / 100);
+    const dockSize = getDefaultDockSize(currentWindow, dockEdge);
+    let referenceBounds;
+
+    if (options.otherDisplay) {
+      const otherDisplay = findOtherDisplay(displays, currentDisplay);
+      if (!otherDisplay) {
+        return createErrorResponse(ERROR_CODES.DISPLAY_NOT_FOUND, 'No other display detected');
+      }
+
+      // Full height at the right edge of the other display
+      const { workArea } = otherDisplay;
+      referenceBounds = clampBoundsToArea({
+        left: workArea.left + workArea.width - referenceWidth,
+        top: workArea.top,
+        width: referenceWidth,
+        height: workArea.height
+      }, workArea);
+    } else {
+      // At the end of the stack on the chosen edge of the current window, pulled back inside its display
+      const stack = getDockStack(currentWindow.id, dockEdge);
+      referenceBounds = computeDockedStack(currentWindow, dockEdge, [
+        ...stack.map(record => ({ size: record.dockSize, weight: record.dockWeight })),
+        { size: dockSize, weight: 1 }
+      ], currentDisplay.workArea).pop();
+    }
+
+    // Create reference window
+    const referenceWindow = await chrome.windows.create({
+      ...(url !== undefined ? { url: url } : { tabId: tabId }),
+      ...referenceBounds,
+      focused: false,
+      type: 'normal'
+    });
+
+    if (url !== undefined) {
+      tabId = referenceWindow.tabs[0].id;
+    }
+
+    // Track the reference window; ones beside the current window follow it when it moves
+    referenceWindows.set(referenceWindow.id, {
+      windowId: referenceWindow.id,
+      tabId: tabId,
+      bounds: referenceBounds,
+      dockedTo: options.otherDisplay ? null : currentWindow.id,
+      dockEdge: dockEdge,
+      dockSize: dockSize,
+      dockWeight: 1,
+      createdAt: Date.now()
+    });
+    await saveReferenceWindows();
+
+    // Make room for the new window in its stack
+    if (!options.otherDisplay) {
+      await repositionDockedReferences(currentWindow.id);
+    }
+
+    console.log('Reference window created:', {
+      windowId: referenceWindow.id,
+      tabId: tabId,
+      dimensions: { width: referenceBounds.width, height: referenceBounds.height },
+      position: { left: referenceBounds.left, top: referenceBounds.top }
+    });
+
+    return { 
+      success: true, 
+      windowId: referenceWindow.id,
+      tabId: tabId,
+      dimensions: { width: referenceBounds.width, height: referenceBounds.height }
+    };
+
+  } catch (error) {
+    console.error('Error creating reference window:', error);
+    return createExceptionResponse(error);
+  }
+}
+
+/**
+ * Close a specific reference window
+ * @param {number} windowId - ID of the reference window to close
+ * @returns {Promise<Object>} Result object with success status
+ */
+async function closeReferenceWindow(windowId) {
+  try {
+    if (!referenceWindows.has(windowId)) {
+      return createErrorResponse(ERROR_CODES.REFERENCE_NOT_FOUND, 'Window is not a tracked reference window');
+    }
+
+    await chrome.windows.remove(windowId);
+    referenceWindows.delete(windowId);
+    await saveReferenceWindows();
+
+    console.log('Reference window closed:', windowId);
+    return { success: true, windowId: windowId };
+
+  } catch (error) {
+    console.error('Error closing reference window:', error);
+    return createExceptionResponse(error);
+  }
+}
+
+/**
+ * Close all reference windows
+ * @returns {Promise<Object>} Result object with success status
+ */
+async function closeAllReferenceWindows() {
+  try {
+    const closePromises = Array.from(referenceWindows.keys()).map(windowId => 
+      chrome.windows.remove(windowId).catch(error => {
+        console.error(`Error closing reference window ${windowId}:`, error);
+        return null;
+      })
+    );
+
+    await Promise.all(closePromises);
+    const closedCount = referenceWindows.size;
+    referenceWindows.clear();
+    await saveReferenceWindows();
+
+    console.log('All reference windows closed:', closedCount);
+    return { success: true, closedCount: closedCount };
+
+  } catch (error) {
+    console.error('Error closing all reference windows:', error);
+    return createExceptionResponse(error);
+  }
+}
+
+/**
+ * Get list of current reference windows with their tab details
+ * @returns {Promise<Object>} Object with reference window records
+ */
+async function getReferenceWindows() {
+  const records = await Promise.all(Array.from(referenceWindows.values()).map(async record => {
+    try {
+      const referenceWindow = await chrome.windows.get(record.windowId, { populate: true });
+      const tab = referenceWindow.tabs.find(windowTab => windowTab.active) || referenceWindow.tabs[0];
+
+      return {
+        windowId: record.windowId,
+        tabId: tab.id,
+        title: tab.title,
+        url: tab.url,
+        favIconUrl: tab.favIconUrl,
+        bounds: {
+          left: referenceWindow.left,
+          top: referenceWindow.top,
+          width: referenceWindow.width,
+          height: referenceWindow.height
+        },
+        dockedTo: record.dockedTo ?? null,
+        dockEdge: record.dockEdge || 'right',
+        dockWeight: record.dockWeight || 1,
+        createdAt: record.createdAt
+      };
+    } catch (error) {
+      console.error(`Error reading reference window ${record.windowId}:`, error);
+      return null;
+    }
+  }));
+
+  const windows = records.filter(Boolean);
+  return {
+    success: true,
+    windows: windows,
+    count: windows.length
+  };
+}
+
+/**
+ * Check whether an edge runs down the side of a window, so references docked to it stack vertically
+ * @param {string} edge - Dock edge
+ * @returns {boolean} True for left and right
+ */
+function isSideEdge(edge) {
+  return edge === 'left' || edge === 'right';
+}
+
+/**
+ * Get the configured thickness of a reference docked to an edge of a window
+ * @param {Object} mainBounds - Bounds of the main window
+ * @param {string} edge - Dock edge
+ * @returns {number} Width for side edges, height for top and bottom
+ */
+function getDefaultDockSize(mainBounds, edge) {
+  const span = isSideEdge(edge) ? mainBounds.width : mainBounds.height;
+  return Math.floor(span * settings.referenceWidthPercent / 100);
+}
+
+/**
+ * Get the reference windows docked to one edge of a main window, in stacking order
+ * @param {number} mainWindowId - Main window ID
+ * @param {string} edge - Dock edge
+ * @returns {Array<Object>} Reference window records
+ */
+function getDockStack(mainWindowId, edge) {
+  return Array.from(referenceWindows.values())
+    .filter(record => record.dockedTo === mainWindowId && record.dockEdge === edge);
+}
+
+/**
+ * Work out where a stack of reference windows belongs along one edge of their main window
+ * @param {Object} mainBounds - Bounds of the main window
+ * @param {string} edge - Edge of the main window the references are docked to
+ * @param {Array<Object>} items - Each reference's thickness and share of the edge ({ size, weight })
+ * @param {Object} area - Work area of the main window's display
+ * @returns {Array<Object>} Reference window bounds in stack order, pulled back inside the work area
+ */
+function computeDockedStack(mainBounds, edge, items, area) {
+  const { left, top, width, height } = mainBounds;
+  const weights = items.map(item => item.weight);
+  const segments = isSideEdge(edge)
+    ? divideSpanByWeight(top, height, weights)
+    : divideSpanByWeight(left, width, weights);
+
+  return items.map((item, index) => {
+    const segment = segments[index];
+    let bounds;
+
+    switch (edge) {
+      case 'left':
+        bounds = { left: left - item.size, top: segment.start, width: item.size, height: segment.length };
+        break;
+      case 'right':
+        bounds = { left: left + width, top: segment.start, width: item.size, height: segment.length };
+        break;
+      case 'top':
+        bounds = { left: segment.start, top: top - item.size, width: segment.length, height: item.size };
+        break;
+      case 'bottom':
+        bounds = { left: segment.start, top: top + height, width: segment.length, height: item.size };
+        break;
+    }
+
+    return clampBoundsToArea(bounds, area);
+  });
+}
+
+/**
+ * Move the reference windows docked to a main window back beside it, restacking each edge
+ * @param {number} mainWindowId - Window that moved or resized
+ * @returns {Promise<void>}
+ */
+async function repositionDockedReferences(mainWindowId) {
+  if (!Array.from(referenceWindows.values()).some(record => record.dockedTo === mainWindowId)) return;
+
+  try {
+    // Leave references alone while the main window is minimized, maximized or fullscreen
+    const mainWindow = await chrome.windows.get(mainWindowId);
+    if (mainWindow.state !== 'normal') return;
+
+    const displays = await chrome.system.display.getInfo();
+    const { workArea } = findDisplayForBounds(displays, mainWindow);
+
+    for (const edge of DOCK_EDGES) {
+      const stack = getDockStack(mainWindowId, edge);
+      const stackBounds = computeDockedStack(mainWindow, edge, stack.map(record => ({
+        size: record.dockSize,
+        weight: record.dockWeight
+      })), workArea);
+
+      for (const [index, record] of stack.entries()) {
+        const requested = JSON.stringify(getWindowBounds(stackBounds[index]));
+        dockPlacements.set(record.windowId, [requested]);
+
+        // The work area and Chrome's minimum window size can leave it different from what was asked
+        const placedWindow = await chrome.windows.update(record.windowId, stackBounds[index]);
+        dockPlacements.set(record.windowId, [requested, JSON.stringify(getWindowBounds(placedWindow))]);
+        record.bounds = stackBounds[index];
+      }
+    }
+
+    await saveReferenceWindows();
+  } catch (error) {
+    console.error('Error repositioning docked reference windows:', error);
+  }
+}
+
+/**
+ * Remember a docked reference's thickness after the user resizes it
+ * @param {Object} referenceWindow - Reference window with its new bounds
+ * @returns {Promise<void>}
+ */
+async function updateDockSize(referenceWindow) {
+  const record = referenceWindows.get(referenceWindow.id);
+  if (!record || !record.dockedTo || referenceWindow.state !== 'normal') return;
+
+  // Moves made by repositionDockedReferences keep the configured size
+  const placements = dockPlacements.get(referenceWindow.id) || [];
+  if (placements.includes(JSON.stringify(getWindowBounds(referenceWindow)))) return;
+
+  const size = isSideEdge(record.dockEdge) ? referenceWindow.width : referenceWindow.height;
+  if (size !== record.dockSize) {
+    record.dockSize = size;
+    await saveReferenceWindows();
+  }
+}
+
+/**
+ * Dock a reference window to an edge of the current window so it follows it around
+ * @param {number} windowId - ID of the reference window
+ * @param {string} [edge] - Edge to dock to (left, right, top, bottom); defaults to its current edge
+ * @param {number} [weight] - Share of the edge relative to other references stacked there
+ * @returns {Promise<Object>} Result object with the main window ID
+ */
+async function dockReferenceWindow(windowId, edge, weight) {
+  try {
+    const record = referenceWindows.get(windowId);
+    if (!record) {
+      return createErrorResponse(ERROR_CODES.REFERENCE_NOT_FOUND, 'Window is not a tracked reference window');
+    }
+
+    const dockEdge = edge || record.dockEdge || 'right';
+    if (!DOCK_EDGES.includes(dockEdge)) {
+      return createErrorResponse(ERROR_CODES.INVALID_INPUT, `Dock edge must be one of: ${DOCK_EDGES.join(', ')}`);
+    }
+
+    if (weight !== undefined && (!Number.isInteger(weight) || weight < 1 || weight > MAX_DOCK_WEIGHT)) {
+      return createErrorResponse(ERROR_CODES.INVALID_INPUT, `Dock weight must be a whole number between 1 and ${MAX_DOCK_WEIGHT}`);
+    }
+
+    const currentWindow = await chrome.windows.getCurrent();
+    if (referenceWindows.has(currentWindow.id)) {
+      return createErrorResponse(ERROR_CODES.INVALID_SELECTION, 'Cannot dock a reference window to another reference window');
+    }
+
+    // A window moving to another axis, or docking for the first time, gets the configured thickness
+    const previousMainWindowId = record.dockedTo;
+    if (!record.dockedTo || !record.dockSize || isSideEdge(dockEdge) !== isSideEdge(record.dockEdge)) {
+      record.dockSize = getDefaultDockSize(currentWindow, dockEdge);
+    }
+
+    record.dockedTo = currentWindow.id;
+    record.dockEdge = dockEdge;
+    record.dockWeight = weight || record.dockWeight || 1;
+    await saveReferenceWindows();
+
+    await repositionDockedReferences(currentWindow.id);
+    if (previousMainWindowId && previousMainWindowId !== currentWindow.id) {
+      await repositionDockedReferences(previousMainWindowId);
+    }
+
+    return { success: true, windowId: windowId, dockedTo: currentWindow.id, dockEdge: dockEdge };
+
+  } catch (error) {
+    console.error('Error docking reference window:', error);
+    return createExceptionResponse(error);
+  }
+}
+
+/**
+ * Stop a reference window following its main window
+ * @param {number} windowId - ID of the reference window
+ * @returns {Promise<Object>} Result object with success status
+ */
+async function undockReferenceWindow(windowId) {
+  try {
+    const record = referenceWindows.get(windowId);
+    if (!record) {
+      return createErrorResponse(ERROR_CODES.REFERENCE_NOT_FOUND, 'Window is not a tracked reference window');
+    }
+
+    // The rest of its stack closes the gap it leaves
+    const mainWindowId = record.dockedTo;
+    record.dockedTo = null;
+    await saveReferenceWindows();
+    if (mainWindowId) {
+      await repositionDockedReferences(mainWindowId);
+    }
+
+    return { success: true, windowId: windowId };
+
+  } catch (error) {
+    console.error('Error undocking reference window:', error);
+    return createExceptionResponse(error);
+  }
+}
+
+/**
+ * Bring a reference window to the front
+ * @param {number} windowId - ID of the reference window to focus
+ * @returns {Promise<Object>} Result object with success status
+ */
+async function focusReferenceWindow(windowId) {
+  try {
+    if (!referenceWindows.has(windowId)) {
+      return createErrorResponse(ERROR_CODES.REFERENCE_NOT_FOUND, 'Window is not a tracked reference window');
+    }
+
+    await chrome.windows.update(windowId, { focused: true });
+    return { success: true, windowId: windowId };
+
+  } catch (error) {
+    console.error('Error focusing reference window:', error);
+    return createExceptionResponse(error);
+  }
+}
+
+/**
+ * Promote a reference window into a split with the current window's active tab
+ * @param {number} windowId - ID of the reference window to promote
+ * @param {number} [ratio] - Fraction of the width given to the left window
+ * @returns {Promise<Object>} Result of the split
+ */
+async function promoteReferenceWindow(windowId, ratio) {
+  try {
+    if (!referenceWindows.has(windowId)) {
+      return createErrorResponse(ERROR_CODES.REFERENCE_NOT_FOUND, 'Window is not a tracked reference window');
+    }
+
+    const [referenceTab] = await chrome.tabs.query({ windowId: windowId, active: true });
+    const currentWindow = await chrome.windows.getCurrent({ populate: true });
+    const currentTab = (currentWindow.tabs || []).find(tab => tab.active);
+
+    if (!referenceTab || !currentTab) {
+      return createErrorResponse(ERROR_CODES.TAB_NOT_FOUND, 'Could not find tabs to split');
+    }
+
+    // Moving the tab out empties the reference window, which onRemoved untracks
+    return await splitWindow(currentTab.id, referenceTab.id, ratio);
+
+  } catch (error) {
+    console.error('Error promoting reference window:', error);
+    return createExceptionResponse(error);
+  }
+}
+
+/**
+ * Describe a window for a workspace snapshot
+ * @param {number} windowId - Window to describe
+ * @param {string} role - Window role (pane, reference)
+ * @returns {Promise<Object|null>} Window entry, or null if it has no restorable tabs
+ */
+async function describeWorkspaceWindow(windowId, role) {
+  try {
+    const snapshotWindow = await chrome.windows.get(windowId, { populate: true });
+    const tabs = snapshotWindow.tabs.filter(tab => isWebUrl(tab.url));
+    if (tabs.length === 0) {
+      return null;
+    }
+
+    return {
+      role: role,
+      urls: tabs.map(tab => tab.url),
+      activeIndex: Math.max(tabs.findIndex(tab => tab.active), 0),
+      bounds: {
+        left: snapshotWindow.left,
+        top: snapshotWindow.top,
+        width: snapshotWindow.width,
+        height: snapshotWindow.height
+      }
+    };
+  } catch (error) {
+    console.error(`Error describing window ${windowId}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Snapshot the current split and reference windows
+ * @returns {Promise<Object>} Workspace contents ({ splits, windows })
+ */
+async function snapshotWorkspace() {
+  const splits = [];
+  const windows = [];
+  const paneIndexes = new Map(); // windowId -> index in windows
+
+  for (const session of splitSessions.values()) {
+    const splitIndex = splits.length;
+    splits.push({ layout: session.layout || 'split', ratio: session.ratio ?? null });
+
+    for (const windowId of session.windowIds) {
+      const entry = await describeWorkspaceWindow(windowId, 'pane');
+      if (entry) {
+        paneIndexes.set(windowId, windows.length);
+        windows.push({ ...entry, split: splitIndex });
+      }
+    }
+  }
+
+  // Docked references remember their stack; one docked to a window outside the
+  // workspace (window: null) docks to the window the workspace is restored from
+  for (const record of referenceWindows.values()) {
+    const entry = await describeWorkspaceWindow(record.windowId, 'reference');
+    if (entry && record.dockedTo) {
+      entry.dock = {
+        window: paneIndexes.get(record.dockedTo) ?? null,
+        edge: record.dockEdge,
+        size: record.dockSize,
+        weight: record.dockWeight
+      };
+    }
+    if (entry) {
+      windows.push(entry);
+    }
+  }
+
+  return { splits: splits, windows: windows };
+}
+
+/**
+ * Check that a value is a usable workspace
+ * @param {Object} workspace - Candidate workspace
+ * @returns {boolean} True if the workspace can be restored
+ */
+function isValidWorkspace(workspace) {
+  const isBounds = bounds => bounds && ['left', 'top', 'width', 'height']
+    .every(key => typeof bounds[key] === 'number' && Number.isFinite(bounds[key]));
+  const isDock = (dock, index) => dock === undefined || (
+    Boolean(dock) && DOCK_EDGES.includes(dock.edge) &&
+    Number.isFinite(dock.size) && dock.size > 0 &&
+    Number.isFinite(dock.weight) && dock.weight >= 1 && dock.weight <= MAX_DOCK_WEIGHT &&
+    (dock.window === null || (Number.isInteger(dock.window) && dock.window >= 0 && dock.window < index &&
+      workspace.windows[dock.window].role === 'pane'))
+  );
+
+  return Boolean(workspace) &&
+    typeof workspace.name === 'string' && workspace.name.trim().length > 0 &&
+    Array.isArray(workspace.splits) &&
+    Array.isArray(workspace.windows) &&
+    workspace.windows.every((entry, index) =>
+      WORKSPACE_ROLES.includes(entry.role) &&
+      Array.isArray(entry.urls) && entry.urls.length > 0 && entry.urls.every(isWebUrl) &&
+      isBounds(entry.bounds) &&
+      (entry.role !== 'pane' || (Number.isInteger(entry.split) && entry.split >= 0 && entry.split < workspace.splits.length)) &&
+      (entry.role !== 'reference' || isDock(entry.dock, index))
+    );
+}
+
+/**
+ * Get all saved workspaces
+ * @returns {Promise<Array<Object>>} Workspaces sorted by name
+ */
+async function loadWorkspaces() {
+  const stored = await chrome.storage.sync.get(null);
+  return Object.keys(stored)
+    .filter(key => key.startsWith(WORKSPACE_KEY_PREFIX))
+    .map(key => stored[key])
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Write a workspace to sync storage
+ * @param {Object} workspace - Workspace to store
+ * @returns {Promise<void>}
+ */
+async function storeWorkspace(workspace) {
+  await chrome.storage.sync.set({ [WORKSPACE_KEY_PREFIX + workspace.id]: workspace });
+}
+
+/**
+ * List saved workspaces
+ * @returns {Promise<Object>} Object with workspaces
+ */
+async function getWorkspaces() {
+  try {
+    const workspaces = await loadWorkspaces();
+    return { success: true, workspaces: workspaces, count: workspaces.length };
+  } catch (error) {
+    console.error('Error loading workspaces:', error);
+    return createExceptionResponse(error);
+  }
+}
+
+/**
+ * Save the current arrangement as a named workspace, replacing one with the same name
+ * @param {string} name - Workspace name
+ * @returns {Promise<Object>} Result object with the saved workspace
+ */
+async function saveWorkspace(name) {
+  try {
+    if (typeof name !== 'string' || !name.trim()) {
+      return createErrorResponse(ERROR_CODES.INVALID_INPUT, 'Workspace name is required');
+    }
+
+    const snapshot = await snapshotWorkspace();
+    if (snapshot.windows.length === 0) {
+      return createErrorResponse(ERROR_CODES.NO_SPLIT, 'No split or reference windows to save');
+    }
+
+    const existing = (await loadWorkspaces()).find(workspace => workspace.name === name.trim());
+    const now = Date.now();
+    const workspace = {
+      id: existing ? existing.id : `ws-${now}`,
+      name: name.trim(),
+      ...snapshot,
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now
+    };
+
+    await storeWorkspace(workspace);
+
+    console.log('Workspace saved:', { id: workspace.id, name: workspace.name, windows: workspace.windows.length });
+    return { success: true, workspace: workspace };
+
+  } catch (error) {
+    console.error('Error saving workspace:', error);
+    return createExceptionResponse(error);
+  }
+}
+
+/**
+ * Recreate the windows of a saved workspace
+ * @param {string} workspaceId - Workspace to restore
+ * @returns {Promise<Object>} Result object with created window counts
+ */
+async function restoreWorkspace(workspaceId) {
+  try {
+    const key = WORKSPACE_KEY_PREFIX + workspaceId;
+    const workspace = (await chrome.storage.sync.get(key))[key];
+    if (!workspace) {
+      return createErrorResponse(ERROR_CODES.WORKSPACE_NOT_FOUND, 'Workspace not found');
+    }
+
+    const displays = await chrome.system.display.getInfo();
+    const currentWindow = await chrome.windows.getCurrent();
+    const splitWindows = workspace.splits.map(() => []);
+    const restoredWindowIds = []; // index in workspace.windows -> restored window ID
+    const dockedMainWindowIds = new Set();
+    let referenceCount = 0;
+    let skippedCount = 0;
+
+    for (const [index, entry] of workspace.windows.entries()) {
+      if (entry.role === 'reference' && referenceWindows.size >= settings.maxReferenceWindows) {
+        skippedCount++;
+        continue;
+      }
+
+      // Monitors may have changed since the workspace was saved
+      const display = findDisplayForBounds(displays, entry.bounds);
+      const bounds = clampBoundsToArea(entry.bounds, display.workArea);
+
+      const restoredWindow = await chrome.windows.create({
+        url: entry.urls,
+        ...bounds,
+        focused: false
+      });
+      const activeTab = restoredWindow.tabs[entry.activeIndex] || restoredWindow.tabs[0];
+      await chrome.tabs.update(activeTab.id, { active: true });
+      restoredWindowIds[index] = restoredWindow.id;
+
+      if (entry.role === 'reference') {
+        const dockedTo = entry.dock
+          ? (entry.dock.window === null ? currentWindow.id : restoredWindowIds[entry.dock.window])
+          : null;
+
+        referenceWindows.set(restoredWindow.id, {
+          windowId: restoredWindow.id,
+          tabId: activeTab.id,
+          bounds: bounds,
+          dockedTo: dockedTo,
+          dockEdge: entry.dock ? entry.dock.edge : 'right',
+          dockSize: entry.dock ? entry.dock.size : null,
+          dockWeight: entry.dock ? entry.dock.weight : 1,
+          createdAt: Date.now()
+        });
+        if (dockedTo) {
+          dockedMainWindowIds.add(dockedTo);
+        }
+        referenceCount++;
+      } else {
+        splitWindows[entry.split].push({ window: restoredWindow, bounds: bounds });
+      }
+    }
+
+    // Register restored splits so they can be undone like any other split
+    splitWindows.forEach((panes, index) => {
+      if (panes.length === 0) return;
+
+      const sessionTabs = panes.flatMap(pane => pane.window.tabs);
+      splitSessions.set(`split-${Date.now()}-${index}`, {
+        id: `split-${Date.now()}-${index}`,
+        originalWindowId: null,
+        originalBounds: getBoundingBox(panes.map(pane => pane.bounds)),
+        tabs: sessionTabs.map((tab, tabIndex) => ({
+          tabId: tab.id, windowId: null, index: tabIndex, pinned: false, group: null
+        })),
+        windowIds: panes.map(pane => pane.window.id),
+        layout: workspace.splits[index].layout,
+        ratio: workspace.splits[index].ratio,
+        createdAt: Date.now()
+      });
+    });
+
+    await saveReferenceWindows();
+    await saveSplitSessions();
+
+    // Restack docked references against their restored main windows
+    for (const mainWindowId of dockedMainWindowIds) {
+      await repositionDockedReferences(mainWindowId);
+    }
+
+    const paneCount = splitWindows.reduce((total, panes) => total + panes.length, 0);
+    const firstPane = splitWindows.flat()[0];
+    if (firstPane) {
+      await chrome.windows.update(firstPane.window.id, { focused: true });
+    }
+
+    console.log('Workspace restored:', { id: workspaceId, paneCount, referenceCount, skippedCount });
+    return {
+      success: true,
+      paneCount: paneCount,
+      referenceCount: referenceCount,
+      skippedCount: skippedCount
+    };
+
+  } catch (error) {
+    console.error('Error restoring workspace:', error);
+    return createExceptionResponse(error);
+  }
+}
+
+/**
+ * Rename a saved workspace
+ * @param {string} workspaceId - Workspace to rename
+ * @param {string} name - New name
+ * @returns {Promise<Object>} Result object with the renamed workspace
+ */
+async function renameWorkspace(workspaceId, name) {
+  try {
+    if (typeof name !== 'string' || !name.trim()) {
+      return createErrorResponse(ERROR_CODES.INVALID_INPUT, 'Workspace name is required');
+    }
+
+    const workspaces = await loadWorkspaces();
+    const workspace = workspaces.find(candidate => candidate.id === workspaceId);
+    if (!workspace) {
+      return createErrorResponse(ERROR_CODES.WORKSPACE_NOT_FOUND, 'Workspace not found');
+    }
+
+    if (workspaces.some(candidate => candidate.id !== workspaceId && candidate.name === name.trim())) {
+      return createErrorResponse(ERROR_CODES.INVALID_INPUT, 'A workspace with that name already exists');
+    }
+
+    workspace.name = name.trim();
+    workspace.updatedAt = Date.now();
+    await storeWorkspace(workspace);
+
+    return { success: true, workspace: workspace };
+
+  } catch (error) {
+    console.error('Error renaming workspace:', error);
+    return createExceptionResponse(error);
+  }
+}
+
+/**
+ * Delete a saved workspace
+ * @param {string} workspaceId - Workspace to delete
+ * @returns {Promise<Object>} Result object with success status
+ */
+async function deleteWorkspace(workspaceId) {
+  try {
+    await chrome.storage.sync.remove(WORKSPACE_KEY_PREFIX + workspaceId);
+    return { success: true, workspaceId: workspaceId };
+  } catch (error) {
+    console.error('Error deleting workspace:', error);
+    return createExceptionResponse(error);
+  }
+}
+
+/**
+ * Import workspaces from an exported JSON document
+ * @param {Object} data - Parsed export ({ version, workspaces })
+ * @returns {Promise<Object>} Result object with imported and skipped counts
+ */
+async function importWorkspaces(data) {
+  try {
+    if (!data || data.version !== WORKSPACE_EXPORT_VERSION || !Array.isArray(data.workspaces)) {
+      return createErrorResponse(ERROR_CODES.INVALID_INPUT, 'Not a Tab Splitter workspace export');
+    }
+
+    const existingNames = new Set((await loadWorkspaces()).map(workspace => workspace.name));
+    let importedCount = 0;
+    let skippedCount = 0;
+
+    for (const [index, candidate] of data.workspaces.entries()) {
+      if (!isValidWorkspace(candidate)) {
+        skippedCount++;
+        continue;
+      }
+
+      // Keep both copies when an imported name is already taken
+      let name = candidate.name.trim();
+      while (existingNames.has(name)) {
+        name = `${name} (imported)`;
+      }
+      existingNames.add(name);
+
+      const now = Date.now();
+      await storeWorkspace({
+        id: `ws-${now}-${index}`,
+        name: name,
+        splits: candidate.splits,
+        windows: candidate.windows,
+        createdAt: now,
+        updatedAt: now
+      });
+      importedCount++;
+    }
+
+    return { success: true, importedCount: importedCount, skippedCount: skippedCount };
+
+  } catch (error) {
+    console.error('Error importing workspaces:', error);
+    return createExceptionResponse(error);
+  }
+}
+
+/**
+ * Describe where a message came from, for the error log
+ * @param {Object} sender - Message sender
+ * @returns {string} Extension page name (popup, compare) or 'page' for content scripts
+ */
+function describeMessageSender(sender) {
+  const extensionUrl = chrome.runtime.getURL('');
+  if (sender && sender.url && sender.url.startsWith(extensionUrl)) {
+    return sender.url.slice(extensionUrl.length).replace(/\.html.*$/, '');
+  }
+  return 'page';
+}
+
+/**
+ * Add a failure to the rolling error log
+ * @param {string} source - Where the action was started (popup, compare, page, shortcut, context menu)
+ * @param {string} action - Action, command or menu item that failed
+ * @param {Object} response - Failed result object
+ * @returns {Promise<void>}
+ */
+function recordError(source, action, response) {
+  const entry = {
+    timestamp: Date.now(),
+    source: source,
+    action: action,
+    code: response.code || ERROR_CODES.ACTION_FAILED,
+    error: response.error || 'Unknown error',
+    suggestion: response.suggestion || null
+  };
+
+  errorLogWrite = errorLogWrite.then(async () => {
+    try {
+      const stored = await chrome.storage.local.get(ERROR_LOG_STORAGE_KEY);
+      const entries = [entry, ...(stored[ERROR_LOG_STORAGE_KEY] || [])].slice(0, MAX_ERROR_LOG_ENTRIES);
+      await chrome.storage.local.set({ [ERROR_LOG_STORAGE_KEY]: entries });
+    } catch (error) {
+      console.error('Error recording error log entry:', error);
+    }
+  });
+
+  return errorLogWrite;
+}
+
+/**
+ * Get the recent failures, newest first
+ * @returns {Promise<Object>} Result object with the log entries
+ */
+async function getErrorLog() {
+  try {
+    await errorLogWrite;
+    const stored = await chrome.storage.local.get(ERROR_LOG_STORAGE_KEY);
+    const entries = stored[ERROR_LOG_STORAGE_KEY] || [];
+    return { success: true, entries: entries, count: entries.length };
+  } catch (error) {
+    console.error('Error reading error log:', error);
+    return createExceptionResponse(error);
+  }
+}
+
+/**
+ * Empty the error log
+ * @returns {Promise<Object>} Result object with success status
+ */
+async function clearErrorLog() {
+  try {
+    await errorLogWrite;
+    await chrome.storage.local.remove(ERROR_LOG_STORAGE_KEY);
+    return { success: true };
+  } catch (error) {
+    console.error('Error clearing error log:', error);
+    return createExceptionResponse(error);
+  }
+}
+
+// Handlers for messages from the popup, compare page and content scripts, keyed by action;
+// protocol.js validates each request against MESSAGE_SCHEMAS.background before it gets here
+const messageHandlers = {
+  getCurrentWindowTabs: async () => ({ success: true, data: await getCurrentWindowTabs() }),
+
+  splitWindow: request => splitWindow(
+    request.leftTabIds || request.leftTabId,
+    request.rightTabIds || request.rightTabId,
+    request.ratio,
+    { spanDisplays: request.spanDisplays }
+  ),
+
+  splitLayout: request => splitLayout(request.tabIds, request.layout),
+  getAllTabs: () => getAllTabs(),
+  getTabGroups: () => getTabGroups(),
+  getTabThumbnails: request => getTabThumbnails(request.tabIds),
+  getDisplayInfo: () => getDisplayInfo(),
+  getWorkspaces: () => getWorkspaces(),
+  saveWorkspace: request => saveWorkspace(request.name),
+  restoreWorkspace: request => restoreWorkspace(request.workspaceId),
+  renameWorkspace: request => renameWorkspace(request.workspaceId, request.name),
+  deleteWorkspace: request => deleteWorkspace(request.workspaceId),
+  importWorkspaces: request => importWorkspaces(request.data),
+  getTabInfo: async request => ({ success: true, data: await getTabInfo(request.tabId) }),
+  splitWithUrl: request => splitWithUrl(request.tabId, request.input, request.ratio),
+  quickSplit: request => quickSplit(request.ratio),
+  swapPanes: request => swapPanes(request.sessionId, request.mode),
+  rotatePanes: request => rotatePanes(request.sessionId, request.direction),
+  setSyncScroll: request => setSyncScroll(request.sessionId, request.enabled),
+
+  syncScroll: (request, sender) => relaySyncScroll(sender.tab, {
+    proportion: request.proportion,
+    anchor: request.anchor
+  }),
+
+  comparePanes: request => comparePanes(request.sessionId),
+  getCompareReport: () => getCompareReport(),
+  revealCompareBlock: request => revealCompareBlock(request.tabId, request.index),
+  unsplit: request => unsplit(request.sessionId),
+  getSplitSessions: () => getSplitSessions(),
+
+  createReferenceWindow: request => createReferenceWindow(request.tabId, request.url, {
+    otherDisplay: request.otherDisplay,
+    dockEdge: request.dockEdge
+  }),
+
+  closeReferenceWindow: request => closeReferenceWindow(request.windowId),
+  closeAllReferenceWindows: () => closeAllReferenceWindows(),
+  getReferenceWindows: () => getReferenceWindows(),
+  focusReferenceWindow: request => focusReferenceWindow(request.windowId),
+  dockReferenceWindow: request => dockReferenceWindow(request.windowId, request.edge, request.weight),
+  undockReferenceWindow: request => undockReferenceWindow(request.windowId),
+  promoteReferenceWindow: request => promoteReferenceWindow(request.windowId, request.ratio),
+  getErrorLog: () => getErrorLog(),
+  clearErrorLog: () => clearErrorLog()
+};
+
+chrome.runtime.onMessage.addListener(createMessageDispatcher('background', messageHandlers, {
+  ready: stateReady,
+  onFailure: (request, response, sender) => {
+    recordError(describeMessageSender(sender), String(request && request.action), response);
+  }
+}));
+
+// Keep docked reference windows beside their main window as it moves or resizes
+chrome.windows.onBoundsChanged.addListener(async (changedWindow) => {
+  await stateReady;
+
+  if (referenceWindows.has(changedWindow.id)) {
+    await updateDockSize(changedWindow);
+  } else {
+    await repositionDockedReferences(changedWindow.id);
+  }
+});
+
+// Handle window close events to clean up reference windows
+chrome.windows.onRemoved.addListener(async (windowId) => {
+  await stateReady;
+  dockPlacements.delete(windowId);
+
+  if (referenceWindows.has(windowId)) {
+    const { dockedTo } = referenceWindows.get(windowId);
+    referenceWindows.delete(windowId);
+    await saveReferenceWindows();
+    console.log('Reference window closed and removed from tracking:', windowId);
+
+    // The rest of its stack closes the gap
+    if (dockedTo) {
+      await repositionDockedReferences(dockedTo);
+    }
+  }
+
+  // References docked to a closed window stay where they are
+  const orphanedReferences = Array.from(referenceWindows.values()).filter(record => record.dockedTo === windowId);
+  if (orphanedReferences.length > 0) {
+    orphanedReferences.forEach(record => {
+      record.dockedTo = null;
+    });
+    await saveReferenceWindows();
+  }
+
+  // Forget split sessions once all of their windows are gone
+  let sessionsChanged = false;
+  splitSessions.forEach((session, sessionId) => {
+    if (session.windowIds.includes(windowId)) {
+      session.windowIds = session.windowIds.filter(id => id !== windowId);
+      if (session.windowIds.length === 0) {
+        splitSessions.delete(sessionId);
+      }
+      sessionsChanged = true;
+    }
+  });
+  if (sessionsChanged) {
+    await saveSplitSessions();
+  }
+});
+
+// Capture thumbnails as tabs become visible
+chrome.tabs.onActivated.addListener(({ tabId, windowId }) => {
+  scheduleThumbnailCapture(tabId, windowId);
+});
+
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  if (changeInfo.status === 'complete' && tab.active) {
+    scheduleThumbnailCapture(tabId, tab.windowId);
+  }
+});
+
+// Keep linked scrolling on the tab each linked pane is showing, including after it navigates
+chrome.tabs.onActivated.addListener(async ({ tabId, windowId }) => {
+  await stateReady;
+  await updatePaneSyncScroll({ id: tabId, windowId: windowId });
+});
+
+chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
+  if (changeInfo.status !== 'complete' || !tab.active) return;
+
+  await stateReady;
+  await updatePaneSyncScroll(tab);
+});
+
+// Drop thumbnails of closed tabs
+chrome.tabs.onRemoved.addListener(async (tabId) => {
+  await stateReady;
+
+  if (tabThumbnails.delete(tabId)) {
+    await removeTabThumbnails([tabId]);
+  }
+});
+
+/**
+ * Get the notification button that undoes a split, for a successful split result
+ * @param {Object} result - Result object from splitWindow or splitWithUrl
+ * @returns {Array<Object>} Notification actions ({ label, message, successMessage })
+ */
+function getUndoSplitActions(result) {
+  if (!result.success || !result.sessionId) return [];
+
+  return [{
+    label: 'Undo split',
+    message: { action: 'unsplit', sessionId: result.sessionId },
+    successMessage: 'Split undone'
+  }];
+}
+
+/**
+ * Show the outcome of a keyboard command or menu action as an in-page notification,
+ * or as a system notification or badge where the page cannot host one
+ * @param {number} tabId - Tab to notify
+ * @param {Object} result - Result object from the command
+ * @param {string} successMessage - Message to show on success
+ * @param {Array<Object>} [actions=[]] - Buttons for the in-page notification ({ label, message, successMessage })
+ */
+async function notifyCommandResult(tabId, result, successMessage, actions = []) {
+  const message = result.success
+    ? successMessage
+    : 'Error: ' + (result.error || 'Unknown error') + (result.suggestion ? `. ${result.suggestion}` : '');
+  const type = result.success ? 'success' : 'error';
+
+  try {
+    const tab = await chrome.tabs.get(tabId);
+    const probe = await probeContentScript(tab);
+
+    if (probe.available) {
+      await sendTabMessage(tabId, { action: 'showNotification', message: message, type: type, actions: actions });
+      return;
+    }
+
+    console.log('Tab cannot show in-page notifications:', tabId, probe.reason);
+  } catch (error) {
+    // The tab closed, or its content script went away between the probe and the message
+    console.log('Could not notify tab of command result:', tabId, error.message);
+  }
+
+  await showFallbackNotification(tabId, message, type);
+}
+
+// Handle keyboard commands (rebindable at chrome://extensions/shortcuts)
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  await stateReady;
+
+  const [activeTab] = tab ? [tab] : await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+  let result;
+  let successMessage;
+  let actions = [];
+
+  switch (command) {
+    case 'quick-split':
+      result = await quickSplit();
+      successMessage = 'Windows split successfully!';
+      actions = getUndoSplitActions(result);
+      break;
+
+    case 'unsplit':
+      result = await unsplit();
+      successMessage = 'Split undone';
+      break;
+
+    case 'swap-panes':
+      result = await swapPanes();
+      successMessage = 'Panes swapped';
+      break;
+
+    case 'rotate-panes':
+      result = await rotatePanes();
+      successMessage = 'Panes rotated';
+      break;
+
+    case 'open-as-reference':
+      result = activeTab
+        ? await createReferenceWindow(activeTab.id)
+        : createErrorResponse(ERROR_CODES.TAB_NOT_FOUND, 'No active tab');
+      successMessage = 'Opened as reference window';
+      break;
+
+    case 'close-all-references':
+      result = await closeAllReferenceWindows();
+      successMessage = `Closed ${result.closedCount} reference windows`;
+      break;
+
+    default:
+      console.log('Unknown command:', command);
+      return;
+  }
+
+  console.log('Command handled:', command, result);
+  if (!result.success) {
+    recordError('shortcut', command, result);
+  }
+  if (activeTab) {
+    await notifyCommandResult(activeTab.id, result, successMessage, actions);
+  }
+});
+
+/**
+ * Get the most recently used tabs, excluding the active tab of the focused window;
+ * a click on the entry for the tab that was right-clicked is refused when handled
+ * @returns {Promise<Array<Object>>} Tabs, most recent first
+ */
+async function getRecentTabs() {
+  const [activeTab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+  const tabs = await chrome.tabs.query({ windowType: 'normal' });
+
+  return tabs
+    .filter(tab => !activeTab || tab.id !== activeTab.id)
+    .sort((a, b) => (b.lastAccessed || 0) - (a.lastAccessed || 0))
+    .slice(0, MAX_CONTEXT_MENU_RECENT_TABS);
+}
+
+/**
+ * Run a context menu update after any that are already in progress
+ * @param {Function} update - Async function that changes the menus
+ * @returns {Promise<void>}
+ */
+function queueContextMenuUpdate(update) {
+  contextMenuUpdate = contextMenuUpdate
+    .then(update)
+    .catch(error => console.error('Error building context menus:', error));
+  return contextMenuUpdate;
+}
+
+/**
+ * Create the context menu entries, replacing any that already exist
+ * @returns {Promise<void>}
+ */
+async function buildContextMenus() {
+  splitWithMenuItemIds = null;
+  await chrome.contextMenus.removeAll();
+
+  chrome.contextMenus.create({
+    id: 'split-link',
+    title: 'Open link in split with this tab',
+    contexts: ['link']
+  });
+  chrome.contextMenus.create({
+    id: 'reference-link',
+    title: 'Open link as reference window',
+    contexts: ['link']
+  });
+  chrome.contextMenus.create({
+    id: 'split-with',
+    title: 'Split this tab with…',
+    contexts: ['page', 'action']
+  });
+  chrome.contextMenus.create({
+    id: 'reference-page',
+    title: 'Send page to reference',
+    contexts: ['page', 'action']
+  });
+
+  splitWithMenuItemIds = [];
+  await updateSplitWithMenu();
+}
+
+/**
+ * Replace the "Split this tab with…" submenu items with the current recent tabs
+ * @returns {Promise<void>}
+ */
+async function updateSplitWithMenu() {
+  // Menus outlive the worker, but not the list of submenu items it created
+  if (splitWithMenuItemIds === null) {
+    await buildContextMenus();
+    return;
+  }
+
+  const recentTabs = await getRecentTabs();
+  await Promise.all(splitWithMenuItemIds.map(id => chrome.contextMenus.remove(id).catch(() => null)));
+  splitWithMenuItemIds = [];
+
+  if (recentTabs.length === 0) {
+    splitWithMenuItemIds.push(chrome.contextMenus.create({
+      id: 'split-with-none',
+      parentId: 'split-with',
+      title: 'No other tabs open',
+      enabled: false,
+      contexts: ['page', 'action']
+    }));
+  }
+
+  recentTabs.forEach(tab => {
+    const title = tab.title || tab.url || 'Untitled';
+    splitWithMenuItemIds.push(chrome.contextMenus.create({
+      id: CONTEXT_MENU_SPLIT_WITH_PREFIX + tab.id,
+      parentId: 'split-with',
+      title: title.length > 40 ? title.substring(0, 40) + '...' : title,
+      contexts: ['page', 'action']
+    }));
+  });
+}
+
+/**
+ * Refresh the "Split this tab with…" submenu once tab activity settles
+ */
+function scheduleContextMenuRebuild() {
+  if (pendingContextMenuRebuild) {
+    clearTimeout(pendingContextMenuRebuild);
+  }
+
+  pendingContextMenuRebuild = setTimeout(() => {
+    pendingContextMenuRebuild = null;
+    queueContextMenuUpdate(updateSplitWithMenu);
+  }, CONTEXT_MENU_REBUILD_DELAY);
+}
+
+// Handle context menu clicks on pages, links and the toolbar icon
+chrome.contextMenus.onClicked.addListener(async (info, tab) => {
+  await stateReady;
+
+  if (!tab || tab.id === chrome.tabs.TAB_ID_NONE) {
+    console.log('Context menu clicked outside a tab:', info.menuItemId);
+    return;
+  }
+
+  const menuItemId = String(info.menuItemId);
+  let result;
+  let successMessage;
+  let actions = [];
+
+  switch (menuItemId) {
+    case 'split-link':
+      result = isWebUrl(info.linkUrl)
+        ? await splitWithUrl(tab.id, info.linkUrl)
+        : createErrorResponse(ERROR_CODES.INVALID_INPUT, 'Only web links can be opened in a split');
+      successMessage = 'Windows split successfully!';
+      actions = getUndoSplitActions(result);
+      break;
+
+    case 'reference-link':
+      result = await createReferenceWindow(undefined, info.linkUrl);
+      successMessage = 'Opened link as reference window';
+      break;
+
+    case 'reference-page':
+      result = await createReferenceWindow(tab.id);
+      successMessage = 'Opened as reference window';
+      break;
+
+    default: {
+      if (!menuItemId.startsWith(CONTEXT_MENU_SPLIT_WITH_PREFIX)) {
+        console.log('Unknown context menu item:', menuItemId);
+        return;
+      }
+      const partnerTabId = parseInt(menuItemId.slice(CONTEXT_MENU_SPLIT_WITH_PREFIX.length));
+      result = partnerTabId === tab.id
+        ? createErrorResponse(ERROR_CODES.INVALID_SELECTION, 'Pick a tab other than the one you clicked')
+        : await splitWindow(tab.id, partnerTabId);
+      successMessage = 'Windows split successfully!';
+      actions = getUndoSplitActions(result);
+      break;
+    }
+  }
+
+  console.log('Context menu handled:', menuItemId, result);
+  if (!result.success) {
+    recordError('context menu', menuItemId, result);
+  }
+  await notifyCommandResult(tab.id, result, successMessage, actions);
+});
+
+// Keep the "Split this tab with…" submenu in step with the recently used tabs
+chrome.tabs.onActivated.addListener(scheduleContextMenuRebuild);
+chrome.tabs.onRemoved.addListener(scheduleContextMenuRebuild);
+chrome.windows.onFocusChanged.addListener(scheduleContextMenuRebuild);
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  if (changeInfo.title) {
+    scheduleContextMenuRebuild();
+  }
+});
+
+// Context menus survive service worker restarts but not browser restarts or updates
+chrome.runtime.onStartup.addListener(() => {
+  queueContextMenuUpdate(buildContextMenus);
+});
+
+// Handle extension installation
+chrome.runtime.onInstalled.addListener((details) => {
+  if (details.reason === 'install') {
+    console.log('Tab Splitter extension installed');
+  }
+
+  queueContextMenuUpdate(buildContextMenus);
 });
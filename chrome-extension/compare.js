@@ -0,0 +1,480 @@
+/**
+ * Compare page script for Tab Splitter extension
+ * Shows a side-by-side text diff of the two panes of a split
+ */
+
+// Give up on a line-up beyond this many edits and show everything as changed
+const MAX_EDIT_DISTANCE = 2000;
+
+// Unchanged blocks kept around each change when unchanged text is hidden
+const CONTEXT_BLOCKS = 2;
+
+/**
+ * Find the shortest edit script between two sequences (Myers' algorithm)
+ * @param {Array} a - Old sequence
+ * @param {Array} b - New sequence
+ * @param {number} [maxEdits=MAX_EDIT_DISTANCE] - Largest number of edits to search for
+ * @returns {Array<Object>|null} Operations ({ type, left, right }) in order, or null when the sequences are too different
+ */
+function diffSequences(a, b, maxEdits = MAX_EDIT_DISTANCE) {
+  const limit = Math.min(a.length + b.length, maxEdits);
+  const offset = limit + 1;
+  const v = new Int32Array(2 * offset + 1);
+  const trace = [];
+
+  for (let d = 0; d <= limit; d++) {
+    // Only diagonals -d..d can be reached in d edits, so that is all backtracking needs
+    trace.push(v.slice(offset - d, offset + d + 1));
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+
+      while (x < a.length && y < b.length && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+
+      v[offset + k] = x;
+
+      if (x >= a.length && y >= b.length) {
+        return backtrackDiff(trace, a.length, b.length);
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Walk the saved search frontiers back from the end to recover the edits
+ * @param {Array<Int32Array>} trace - Furthest x per diagonal before each edit count
+ * @param {number} x - Length of the old sequence
+ * @param {number} y - Length of the new sequence
+ * @returns {Array<Object>} Operations in order
+ */
+function backtrackDiff(trace, x, y) {
+  const operations = [];
+
+  for (let d = trace.length - 1; d > 0; d--) {
+    const frontier = trace[d];
+    const furthest = k => frontier[k + d];
+    const k = x - y;
+
+    const previousK = (k === -d || (k !== d && furthest(k - 1) < furthest(k + 1))) ? k + 1 : k - 1;
+    const previousX = furthest(previousK);
+    const previousY = previousX - previousK;
+
+    while (x > previousX && y > previousY) {
+      x--;
+      y--;
+      operations.push({ type: 'equal', left: x, right: y });
+    }
+
+    if (x === previousX) {
+      operations.push({ type: 'added', right: previousY });
+    } else {
+      operations.push({ type: 'removed', left: previousX });
+    }
+
+    x = previousX;
+    y = previousY;
+  }
+
+  while (x > 0 && y > 0) {
+    x--;
+    y--;
+    operations.push({ type: 'equal', left: x, right: y });
+  }
+
+  return operations.reverse();
+}
+
+/**
+ * Pair up the blocks of two texts into side-by-side rows
+ * @param {Array<string>} leftBlocks - Blocks of the left pane
+ * @param {Array<string>} rightBlocks - Blocks of the right pane
+ * @returns {Object} Rows ({ type, left, right }) and whether the texts were too different to line up
+ */
+function buildDiffRows(leftBlocks, rightBlocks) {
+  const operations = diffSequences(leftBlocks, rightBlocks);
+
+  if (!operations) {
+    return {
+      tooDifferent: true,
+      rows: [
+        ...leftBlocks.map((block, index) => ({ type: 'removed', left: index, right: null })),
+        ...rightBlocks.map((block, index) => ({ type: 'added', left: null, right: index }))
+      ]
+    };
+  }
+
+  const rows = [];
+  let removed = [];
+  let added = [];
+
+  // A run of removals followed by additions is shown as changed blocks side by side
+  const flush = () => {
+    const count = Math.max(removed.length, added.length);
+    for (let i = 0; i < count; i++) {
+      const left = i < removed.length ? removed[i] : null;
+      const right = i < added.length ? added[i] : null;
+      const type = left !== null && right !== null ? 'changed' : (left !== null ? 'removed' : 'added');
+      rows.push({ type: type, left: left, right: right });
+    }
+    removed = [];
+    added = [];
+  };
+
+  operations.forEach(operation => {
+    if (operation.type === 'removed') {
+      removed.push(operation.left);
+    } else if (operation.type === 'added') {
+      added.push(operation.right);
+    } else {
+      flush();
+      rows.push({ type: 'equal', left: operation.left, right: operation.right });
+    }
+  });
+  flush();
+
+  return { tooDifferent: false, rows: rows };
+}
+
+class TabSplitterCompare {
+  constructor() {
+    this.diffRows = document.getElementById('diffRows');
+    this.emptyState = document.getElementById('emptyState');
+    this.leftSource = document.getElementById('leftSource');
+    this.rightSource = document.getElementById('rightSource');
+    this.addedCount = document.getElementById('addedCount');
+    this.removedCount = document.getElementById('removedCount');
+    this.changedCount = document.getElementById('changedCount');
+    this.showUnchangedToggle = document.getElementById('showUnchanged');
+    this.statusMessage = document.getElementById('statusMessage');
+
+    this.report = null;
+    this.rows = [];
+    this.expandedGaps = new Set();
+
+    this.init();
+  }
+
+  /**
+   * Initialize the compare page
+   */
+  async init() {
+    this.setupEventListeners();
+
+    try {
+      const response = await this.sendMessage({ action: 'getCompareReport' });
+      if (!response.success) {
+        throw new Error(response.error || 'No comparison available');
+      }
+
+      this.report = response.report;
+      this.renderSources();
+
+      const result = buildDiffRows(this.report.left.blocks, this.report.right.blocks);
+      this.rows = result.rows;
+      if (result.tooDifferent) {
+        this.showStatus('The pages are too different to line up; showing all text as changed', 'error');
+      }
+
+      this.renderSummary();
+      this.renderRows();
+    } catch (error) {
+      console.error('Error loading comparison:', error);
+      this.showEmptyState('Error: ' + error.message);
+    }
+  }
+
+  /**
+   * Setup event listeners
+   */
+  setupEventListeners() {
+    this.showUnchangedToggle.addEventListener('change', () => {
+      this.renderRows();
+    });
+
+    // Rows are re-rendered, so jumps and gap expansion are handled by delegation
+    this.diffRows.addEventListener('click', (event) => {
+      const gap = event.target.closest('.diff-gap');
+      if (gap) {
+        this.expandedGaps.add(Number(gap.getAttribute('data-gap')));
+        this.renderRows();
+        return;
+      }
+
+      const cell = event.target.closest('.diff-cell.jump');
+      if (cell) {
+        this.handleJump(cell.getAttribute('data-side'), Number(cell.getAttribute('data-index')));
+      }
+    });
+  }
+
+  /**
+   * Show the title and URL of each compared tab
+   */
+  renderSources() {
+    [[this.leftSource, this.report.left], [this.rightSource, this.report.right]].forEach(([element, pane]) => {
+      element.innerHTML = '';
+
+      const title = document.createElement('div');
+      title.className = 'source-title';
+      title.textContent = pane.title;
+
+      const url = document.createElement('div');
+      url.className = 'source-url';
+      url.textContent = pane.url;
+
+      element.appendChild(title);
+      element.appendChild(url);
+    });
+  }
+
+  /**
+   * Show the number of added, removed and changed blocks
+   */
+  renderSummary() {
+    const count = type => this.rows.filter(row => row.type === type).length;
+
+    this.addedCount.textContent = `+${count('added')}`;
+    this.removedCount.textContent = `-${count('removed')}`;
+    this.changedCount.textContent = `${count('changed')} changed`;
+  }
+
+  /**
+   * Render the diff rows, collapsing long unchanged runs unless they are shown
+   */
+  renderRows() {
+    this.diffRows.innerHTML = '';
+
+    if (this.rows.length === 0) {
+      this.showEmptyState('Neither page has any text to compare');
+      return;
+    }
+
+    if (this.rows.every(row => row.type === 'equal')) {
+      this.showEmptyState('The panes have the same text');
+      if (!this.showUnchangedToggle.checked) return;
+    } else {
+      this.emptyState.classList.add('hidden');
+    }
+
+    const visible = this.getVisibleRows();
+
+    let gapStart = null;
+    this.rows.forEach((row, index) => {
+      if (visible[index]) {
+        if (gapStart !== null) {
+          this.diffRows.appendChild(this.createGap(gapStart, index));
+          gapStart = null;
+        }
+        this.diffRows.appendChild(this.createRow(row));
+      } else if (gapStart === null) {
+        gapStart = index;
+      }
+    });
+
+    if (gapStart !== null) {
+      this.diffRows.appendChild(this.createGap(gapStart, this.rows.length));
+    }
+  }
+
+  /**
+   * Work out which rows to show: every change, plus unchanged rows near one
+   * @returns {Array<boolean>} Visibility of each row
+   */
+  getVisibleRows() {
+    const showAll = this.showUnchangedToggle.checked;
+    const visible = this.rows.map(row => showAll || row.type !== 'equal');
+
+    if (!showAll) {
+      this.rows.forEach((row, index) => {
+        if (row.type === 'equal') return;
+
+        const start = Math.max(index - CONTEXT_BLOCKS, 0);
+        const end = Math.min(index + CONTEXT_BLOCKS, this.rows.length - 1);
+        for (let i = start; i <= end; i++) {
+          visible[i] = true;
+        }
+      });
+
+      this.expandedGaps.forEach(gapStart => {
+        for (let i = gapStart; i < this.rows.length && !visible[i]; i++) {
+          visible[i] = true;
+        }
+      });
+    }
+
+    return visible;
+  }
+
+  /**
+   * Create the placeholder for a run of hidden unchanged rows
+   * @param {number} start - Index of the first hidden row
+   * @param {number} end - Index after the last hidden row
+   * @returns {HTMLElement} Gap element
+   */
+  createGap(start, end) {
+    const gap = document.createElement('div');
+    gap.className = 'diff-gap';
+    gap.setAttribute('data-gap', start);
+
+    const count = end - start;
+    gap.textContent = `${count} unchanged block${count === 1 ? '' : 's'} (click to show)`;
+
+    return gap;
+  }
+
+  /**
+   * Create a side-by-side row
+   * @param {Object} row - Diff row ({ type, left, right })
+   * @returns {HTMLElement} Row element
+   */
+  createRow(row) {
+    const element = document.createElement('div');
+    element.className = `diff-row ${row.type}`;
+
+    const leftText = row.left !== null ? this.report.left.blocks[row.left] : null;
+    const rightText = row.right !== null ? this.report.right.blocks[row.right] : null;
+
+    const leftCell = this.createCell('left', row.left, row.type === 'equal' ? 'equal' : 'removed');
+    const rightCell = this.createCell('right', row.right, row.type === 'equal' ? 'equal' : 'added');
+
+    if (row.type === 'changed') {
+      this.fillWordDiff(leftCell, rightCell, leftText, rightText);
+    } else {
+      leftCell.textContent = leftText || '';
+      rightCell.textContent = rightText || '';
+    }
+
+    element.appendChild(leftCell);
+    element.appendChild(rightCell);
+
+    return element;
+  }
+
+  /**
+   * Create one side of a row, clickable when it holds a block from that tab
+   * @param {string} side - 'left' or 'right'
+   * @param {number|null} index - Block index, or null for an empty side
+   * @param {string} type - Highlight for a filled cell (equal, removed, added)
+   * @returns {HTMLElement} Cell element
+   */
+  createCell(side, index, type) {
+    const cell = document.createElement('div');
+    cell.className = 'diff-cell';
+
+    if (index !== null) {
+      cell.classList.add(type, 'jump');
+      cell.setAttribute('data-side', side);
+      cell.setAttribute('data-index', index);
+      cell.title = 'Show in tab';
+    }
+
+    return cell;
+  }
+
+  /**
+   * Fill a changed pair of cells, marking the words that differ
+   * @param {HTMLElement} leftCell - Cell for the old text
+   * @param {HTMLElement} rightCell - Cell for the new text
+   * @param {string} leftText - Old text
+   * @param {string} rightText - New text
+   */
+  fillWordDiff(leftCell, rightCell, leftText, rightText) {
+    const leftWords = leftText.split(/(\s+)/);
+    const rightWords = rightText.split(/(\s+)/);
+    const operations = diffSequences(leftWords, rightWords);
+
+    if (!operations) {
+      leftCell.textContent = leftText;
+      rightCell.textContent = rightText;
+      return;
+    }
+
+    operations.forEach(operation => {
+      if (operation.type === 'equal') {
+        leftCell.appendChild(document.createTextNode(leftWords[operation.left]));
+        rightCell.appendChild(document.createTextNode(rightWords[operation.right]));
+      } else if (operation.type === 'removed') {
+        const marker = document.createElement('del');
+        marker.textContent = leftWords[operation.left];
+        leftCell.appendChild(marker);
+      } else {
+        const marker = document.createElement('ins');
+        marker.textContent = rightWords[operation.right];
+        rightCell.appendChild(marker);
+      }
+    });
+  }
+
+  /**
+   * Handle jumping to a block in its source tab
+   * @param {string} side - 'left' or 'right'
+   * @param {number} index - Block index
+   */
+  async handleJump(side, index) {
+    const pane = this.report[side];
+
+    try {
+      const response = await this.sendMessage({
+        action: 'revealCompareBlock',
+        tabId: pane.tabId,
+        index: index
+      });
+
+      if (!response.success) {
+        throw new Error(response.error || 'Could not find the text in the tab');
+      }
+    } catch (error) {
+      console.error('Error jumping to text:', error);
+      this.showStatus('Error: ' + error.message, 'error');
+    }
+  }
+
+  /**
+   * Show a message in place of the diff
+   * @param {string} message - Message to show
+   */
+  showEmptyState(message) {
+    this.emptyState.textContent = message;
+    this.emptyState.classList.remove('hidden');
+  }
+
+  /**
+   * Show status message
+   * @param {string} message - Status message
+   * @param {string} type - Message type (success, error)
+   */
+  showStatus(message, type) {
+    this.statusMessage.textContent = message;
+    this.statusMessage.className = `status-message ${type}`;
+  }
+
+  /**
+   * Send message to background script
+   * @param {Object} message - Message to send
+   * @returns {Promise<Object>} Response from background script
+   */
+  sendMessage(message) {
+    return new Promise((resolve, reject) => {
+      chrome.runtime.sendMessage(createMessage(message), (response) => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+        } else {
+          resolve(response);
+        }
+      });
+    });
+  }
+}
+
+// Initialize compare page when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  new TabSplitterCompare();
+});
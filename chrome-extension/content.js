@@ -3,140 +3,495 @@
  * Provides enhanced tab interaction capabilities
  */
 
+// Current user settings, kept up to date by onSettingsChanged
+let settings = getDefaultSettings();
+
+// Hover-to-peek preview: hold Alt while hovering a link to preview its target
+const PEEK_MODIFIER_KEY = 'Alt';
+const PEEK_PANEL_WIDTH = 480;
+const PEEK_PANEL_HEIGHT = 360;
+
+let peekPanel = null;
+let peekUrl = null;
+let peekHoverTimer = null;
+let hoveredLink = null;
+
+// Linked scrolling: scroll events this soon after applying a partner's position are echoes
+const SYNC_SCROLL_ECHO_WINDOW = 150;
+const SYNC_SCROLL_HEADINGS = 'h1, h2, h3, h4, h5, h6';
+
+let syncScrollEnabled = false;
+let syncScrollFrame = null;
+let lastAppliedScrollAt = 0;
+let syncScrollIndicator = null;
+
+// Compare mode: text blocks extracted for a diff, kept so the report can jump back to them
+const COMPARE_BLOCK_SELECTOR = 'p, li, h1, h2, h3, h4, h5, h6, pre, blockquote, td, th, dt, dd, figcaption';
+const MAX_COMPARE_BLOCKS = 3000;
+const MAX_COMPARE_BLOCK_LENGTH = 2000;
+const REVEAL_HIGHLIGHT_DURATION = 2000;
+
+let compareBlocks = [];
+
 /**
  * Initialize content script
  */
 function initContentScript() {
-  // Add keyboard shortcut for quick split (Ctrl+Shift+S)
-  document.addEventListener('keydown', handleKeyboardShortcut);
+  // Load user settings and follow changes made in other contexts
+  getSettings().then(loadedSettings => {
+    settings = loadedSettings;
+  });
+  onSettingsChanged(newSettings => {
+    settings = newSettings;
+    if (!settings.peekEnabled) {
+      hidePeekPreview();
+    }
+  });
+  
+  // Keyboard shortcuts are chrome.commands handled in the background script,
+  // so they also work on pages where this script cannot run
   
   // Add visual indicators for split-able tabs
   addSplitIndicators();
+  
+  // Add hover-to-peek link previews
+  initPeekPreview();
+  
+  // Linked scrolling is switched on by the background script for linked split panes
+}
+
+/**
+ * Add visual indicators for tabs that can be split
+ */
+function addSplitIndicators() {
+  // This would add visual cues to tabs, but since we can't modify
+  // the browser's native tab bar, we'll focus on the popup interface
+  console.log('Content script loaded');
+}
+
+/**
+ * Set up listeners for hover-to-peek link previews
+ */
+function initPeekPreview() {
+  document.addEventListener('mouseover', handlePeekHover);
+  document.addEventListener('mouseout', handlePeekLeave);
+  document.addEventListener('keydown', handlePeekKey);
+}
+
+/**
+ * Find the previewable link an event target belongs to
+ * @param {EventTarget} target - Event target
+ * @returns {HTMLAnchorElement|null} Link with an http(s) target
+ */
+function getPeekableLink(target) {
+  const link = target instanceof Element ? target.closest('a[href]') : null;
+  if (!link || !['http:', 'https:'].includes(link.protocol)) {
+    return null;
+  }
+  return link;
+}
+
+/**
+ * Track hovered links and start a peek when the modifier is held
+ * @param {MouseEvent} event - Mouse event
+ */
+function handlePeekHover(event) {
+  if (peekPanel && isOverlayElement(event.target)) return;
+
+  hoveredLink = settings.peekEnabled ? getPeekableLink(event.target) : null;
+  if (hoveredLink && event.getModifierState(PEEK_MODIFIER_KEY)) {
+    schedulePeekPreview(hoveredLink);
+  }
+}
+
+/**
+ * Cancel a pending peek when the pointer leaves the link
+ * @param {MouseEvent} event - Mouse event
+ */
+function handlePeekLeave(event) {
+  const link = getPeekableLink(event.target);
+  if (link && link === hoveredLink && !link.contains(event.relatedTarget)) {
+    hoveredLink = null;
+    clearTimeout(peekHoverTimer);
+  }
 }
 
 /**
- * Handle keyboard shortcuts
+ * Start a peek when the modifier is pressed over a link, close it on Escape
  * @param {KeyboardEvent} event - Keyboard event
  */
-function handleKeyboardShortcut(event) {
-  // Ctrl+Shift+S for quick split
-  if (event.ctrlKey && event.shiftKey && event.key === 'S') {
-    event.preventDefault();
-    requestQuickSplit();
+function handlePeekKey(event) {
+  if (event.key === 'Escape') {
+    hidePeekPreview();
+  } else if (event.key === PEEK_MODIFIER_KEY && hoveredLink) {
+    // Holding the modifier repeats keydown; don't restart the delay or reload an open preview
+    if (event.repeat || (peekPanel && peekUrl === hoveredLink.href)) return;
+    schedulePeekPreview(hoveredLink);
+  }
+}
+
+/**
+ * Show the peek panel for a link after the hover delay
+ * @param {HTMLAnchorElement} link - Link to preview
+ */
+function schedulePeekPreview(link) {
+  clearTimeout(peekHoverTimer);
+  peekHoverTimer = setTimeout(() => {
+    if (hoveredLink === link) {
+      showPeekPreview(link.href, link.getBoundingClientRect());
+    }
+  }, settings.peekHoverDelay);
+}
+
+/**
+ * Show a floating preview of a URL next to the link it came from
+ * @param {string} url - URL to preview
+ * @param {DOMRect} anchorRect - Bounds of the hovered link
+ */
+function showPeekPreview(url, anchorRect) {
+  hidePeekPreview();
+
+  const panel = document.createElement('div');
+  panel.className = 'panel';
+
+  // Place below the link when there is room, otherwise above; keep inside the viewport
+  const spaceBelow = window.innerHeight - anchorRect.bottom;
+  const top = spaceBelow >= PEEK_PANEL_HEIGHT + 8
+    ? anchorRect.bottom + 8
+    : Math.max(8, anchorRect.top - PEEK_PANEL_HEIGHT - 8);
+  const left = Math.min(Math.max(8, anchorRect.left), window.innerWidth - PEEK_PANEL_WIDTH - 8);
+
+  Object.assign(panel.style, {
+    top: `${top}px`,
+    left: `${Math.max(8, left)}px`,
+    width: `${PEEK_PANEL_WIDTH}px`,
+    height: `${PEEK_PANEL_HEIGHT}px`
+  });
+
+  const header = document.createElement('div');
+  header.className = 'panel-header';
+
+  const urlLabel = document.createElement('span');
+  urlLabel.className = 'panel-title';
+  urlLabel.textContent = url;
+  urlLabel.title = url;
+
+  const referenceButton = createOverlayButton('Open as Reference', 'primary');
+  referenceButton.addEventListener('click', () => {
+    requestPeekReference(url);
+  });
+
+  const closeButton = createOverlayButton('\u00d7', 'icon');
+  closeButton.title = 'Close preview (Esc)';
+  closeButton.addEventListener('click', hidePeekPreview);
+
+  header.appendChild(urlLabel);
+  header.appendChild(referenceButton);
+  header.appendChild(closeButton);
+
+  // Sites that forbid framing render blank; the reference button still works for them
+  const frame = document.createElement('iframe');
+  frame.src = url;
+  frame.setAttribute('sandbox', 'allow-scripts allow-same-origin allow-forms');
+  frame.setAttribute('referrerpolicy', 'no-referrer');
+
+  panel.appendChild(header);
+  panel.appendChild(frame);
+  panel.addEventListener('mouseleave', hidePeekPreview);
+
+  peekPanel = addOverlayElement(panel);
+  peekUrl = url;
+}
+
+/**
+ * Remove the peek panel if it is showing
+ */
+function hidePeekPreview() {
+  clearTimeout(peekHoverTimer);
+  if (peekPanel) {
+    peekPanel.remove();
+    peekPanel = null;
+    peekUrl = null;
   }
 }
 
 /**
- * Request quick split from background script
+ * Ask the background script to open a previewed URL as a reference window
+ * @param {string} url - URL to open
  */
-async function requestQuickSplit() {
+async function requestPeekReference(url) {
   try {
-    const response = await chrome.runtime.sendMessage({
-      action: 'quickSplit',
-      source: 'content'
+    const response = await sendRuntimeMessage({
+      action: 'createReferenceWindow',
+      url: url
     });
     
     if (response && response.success) {
-      showNotification('Windows split successfully!', 'success');
+      hidePeekPreview();
+      showNotification('Opened as reference window', 'success');
     } else {
-      showNotification('Failed to split windows: ' + (response?.error || 'Unknown error'), 'error');
+      showNotification('Failed to open reference: ' + (response?.error || 'Unknown error'), 'error');
     }
   } catch (error) {
-    console.error('Error requesting quick split:', error);
+    console.error('Error opening peek reference:', error);
     showNotification('Error: ' + error.message, 'error');
   }
 }
 
 /**
- * Add visual indicators for tabs that can be split
+ * Start or stop reporting scroll positions
+ * @param {boolean} enabled - Whether scrolling is linked
  */
-function addSplitIndicators() {
-  // This would add visual cues to tabs, but since we can't modify
-  // the browser's native tab bar, we'll focus on the popup interface
-  console.log('Content script loaded - keyboard shortcuts available');
+function setSyncScrollEnabled(enabled) {
+  if (enabled === syncScrollEnabled) return;
+
+  syncScrollEnabled = enabled;
+  if (enabled) {
+    window.addEventListener('scroll', handleSyncScroll, { passive: true });
+    showSyncScrollIndicator();
+  } else {
+    window.removeEventListener('scroll', handleSyncScroll);
+    hideSyncScrollIndicator();
+  }
+}
+
+/**
+ * Report the scroll position once per frame, ignoring scrolls we caused ourselves
+ */
+function handleSyncScroll() {
+  if (Date.now() - lastAppliedScrollAt < SYNC_SCROLL_ECHO_WINDOW || syncScrollFrame) return;
+
+  syncScrollFrame = requestAnimationFrame(() => {
+    syncScrollFrame = null;
+    sendRuntimeMessage({
+      action: 'syncScroll',
+      proportion: getScrollProportion(),
+      anchor: getScrollAnchor()
+    }).catch(error => console.error('Error reporting scroll position:', error));
+  });
+}
+
+/**
+ * Get how far down the page is scrolled
+ * @returns {number} Proportion between 0 and 1
+ */
+function getScrollProportion() {
+  const scrollable = document.documentElement.scrollHeight - window.innerHeight;
+  return scrollable > 0 ? Math.min(1, Math.max(0, window.scrollY / scrollable)) : 0;
+}
+
+/**
+ * Find the last heading at or above the top of the viewport
+ * @returns {Object|null} Anchor ({ id, text, occurrence, offset })
+ */
+function getScrollAnchor() {
+  const headings = Array.from(document.querySelectorAll(SYNC_SCROLL_HEADINGS));
+  const heading = headings.filter(candidate => candidate.getBoundingClientRect().top <= 1).pop();
+  if (!heading) return null;
+
+  // Headings with repeated text are told apart by which occurrence they are
+  const text = heading.textContent.trim().slice(0, 200);
+  const occurrence = headings
+    .slice(0, headings.indexOf(heading))
+    .filter(candidate => candidate.textContent.trim().slice(0, 200) === text).length;
+
+  return {
+    id: heading.id,
+    text: text,
+    occurrence: occurrence,
+    offset: -heading.getBoundingClientRect().top
+  };
+}
+
+/**
+ * Scroll to a partner pane's position, by matching heading when possible
+ * @param {Object} position - Scroll position ({ proportion, anchor })
+ */
+function applySyncScroll(position) {
+  if (!syncScrollEnabled) return;
+
+  let target = null;
+  const anchor = position.anchor;
+
+  if (anchor) {
+    const headings = Array.from(document.querySelectorAll(SYNC_SCROLL_HEADINGS));
+    const heading = (anchor.id && headings.find(candidate => candidate.id === anchor.id)) ||
+      headings.filter(candidate => candidate.textContent.trim().slice(0, 200) === anchor.text)[anchor.occurrence];
+
+    if (heading) {
+      target = heading.getBoundingClientRect().top + window.scrollY + anchor.offset;
+    }
+  }
+
+  if (target === null) {
+    target = position.proportion * (document.documentElement.scrollHeight - window.innerHeight);
+  }
+
+  lastAppliedScrollAt = Date.now();
+  window.scrollTo({ top: target, behavior: 'instant' });
+}
+
+/**
+ * Show a badge telling the user this page scrolls with its partner
+ */
+function showSyncScrollIndicator() {
+  if (syncScrollIndicator) return;
+
+  const indicator = document.createElement('div');
+  indicator.className = 'badge';
+  indicator.textContent = '\u21c5 Scroll linked';
+  indicator.title = 'Tab Splitter is scrolling this page together with its split partner';
+
+  syncScrollIndicator = addOverlayElement(indicator);
+}
+
+/**
+ * Remove the linked scrolling badge
+ */
+function hideSyncScrollIndicator() {
+  if (syncScrollIndicator) {
+    syncScrollIndicator.remove();
+    syncScrollIndicator = null;
+  }
+}
+
+/**
+ * Extract the visible text of the page as a list of blocks
+ * @returns {Array<string>} Block texts in document order
+ */
+function extractPageBlocks() {
+  const blockTexts = new Map(); // block element -> text, in document order
+  const parentBlocks = new Map(); // text node parent -> its block, or null when hidden or outside one
+  const walker = document.createTreeWalker(document.body || document.documentElement, NodeFilter.SHOW_TEXT);
+  let previousBlock = null;
+
+  // Each text node belongs to its nearest block, so an outer block keeps its own text around nested ones
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    const parent = node.parentElement;
+    if (!parentBlocks.has(parent)) {
+      const block = parent.closest(COMPARE_BLOCK_SELECTOR);
+      parentBlocks.set(parent, block && parent.getClientRects().length > 0 ? block : null);
+    }
+
+    const block = parentBlocks.get(parent);
+    if (!block) continue;
+
+    if (!blockTexts.has(block)) {
+      if (!node.data.trim()) continue;
+      if (blockTexts.size >= MAX_COMPARE_BLOCKS) break;
+      blockTexts.set(block, '');
+    }
+
+    // Text resuming after a nested block is a separate run, not a continuation of the last word
+    const text = blockTexts.get(block);
+    if (text.length < MAX_COMPARE_BLOCK_LENGTH) {
+      blockTexts.set(block, text + (block === previousBlock ? '' : ' ') + node.data);
+    }
+    previousBlock = block;
+  }
+
+  compareBlocks = Array.from(blockTexts.keys());
+
+  return Array.from(blockTexts.values(), text =>
+    text.replace(/\s+/g, ' ').trim().slice(0, MAX_COMPARE_BLOCK_LENGTH)
+  );
+}
+
+/**
+ * Scroll to and briefly highlight a block from the last extraction
+ * @param {number} index - Block index
+ * @returns {boolean} True if the block was found
+ */
+function revealBlock(index) {
+  if (!compareBlocks[index] || !compareBlocks[index].isConnected) {
+    extractPageBlocks();
+  }
+
+  const element = compareBlocks[index];
+  if (!element) return false;
+
+  const reduceMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+  element.scrollIntoView({ behavior: reduceMotion ? 'instant' : 'smooth', block: 'center' });
+  showOverlayHighlight(element, REVEAL_HIGHLIGHT_DURATION);
+
+  return true;
 }
 
 /**
  * Show notification to user
  * @param {string} message - Notification message
  * @param {string} type - Notification type
+ * @param {Array<Object>} [actions] - Buttons ({ label, message, successMessage }) that send a message to the background script
  */
-function showNotification(message, type = 'info') {
-  // Create notification element
-  const notification = document.createElement('div');
-  notification.className = `tab-splitter-notification ${type}`;
-  notification.textContent = message;
-  
-  // Style the notification
-  Object.assign(notification.style, {
-    position: 'fixed',
-    top: '20px',
-    right: '20px',
-    padding: '12px 16px',
-    borderRadius: '8px',
-    color: '#ffffff',
-    fontSize: '14px',
-    fontWeight: '500',
-    zIndex: '10000',
-    maxWidth: '300px',
-    boxShadow: '0 4px 12px rgba(0, 0, 0, 0.15)',
-    transition: 'all 0.3s ease'
+function showNotification(message, type = 'info', actions = []) {
+  showToast({
+    message: message,
+    type: type,
+    duration: settings.notificationDuration,
+    actions: actions.map(action => ({
+      label: action.label,
+      onClick: () => runNotificationAction(action)
+    }))
   });
-  
-  // Set background color based on type
-  switch (type) {
-    case 'success':
-      notification.style.background = '#34a853';
-      break;
-    case 'error':
-      notification.style.background = '#ea4335';
-      break;
-    case 'info':
-    default:
-      notification.style.background = '#1a73e8';
-      break;
+}
+
+/**
+ * Send a notification button's message to the background script and report the outcome
+ * @param {Object} action - Notification action ({ label, message, successMessage })
+ */
+async function runNotificationAction(action) {
+  try {
+    const response = await sendRuntimeMessage(action.message);
+
+    if (response && response.success) {
+      showNotification(action.successMessage || 'Done', 'success');
+    } else {
+      showNotification('Error: ' + (response?.error || 'Unknown error'), 'error');
+    }
+  } catch (error) {
+    console.error('Error running notification action:', error);
+    showNotification('Error: ' + error.message, 'error');
   }
-  
-  // Add to page
-  document.body.appendChild(notification);
-  
-  // Remove after 3 seconds
-  setTimeout(() => {
-    notification.style.opacity = '0';
-    notification.style.transform = 'translateX(100%)';
-    setTimeout(() => {
-      if (notification.parentNode) {
-        notification.parentNode.removeChild(notification);
-      }
-    }, 300);
-  }, 3000);
 }
 
+// Handlers for messages from the background script, keyed by action;
+// protocol.js validates each request against MESSAGE_SCHEMAS.content before it gets here
+const messageHandlers = {
+  // Lets the background script check that this page can show in-page features
+  ping: async () => ({ success: true }),
+
+  showNotification: async request => {
+    showNotification(request.message, request.type, request.actions);
+    return { success: true };
+  },
+
+  setSyncScroll: async request => {
+    setSyncScrollEnabled(request.enabled);
+    return { success: true };
+  },
+
+  applySyncScroll: async request => {
+    applySyncScroll(request);
+    return { success: true };
+  },
+
+  getPageInfo: async request => ({
+    success: true,
+    url: window.location.href,
+    title: document.title,
+    domain: window.location.hostname,
+    ...(request.includeContent ? { content: extractPageBlocks() } : {})
+  }),
+
+  revealBlock: async request => (
+    revealBlock(request.index) ? { success: true } : { success: false, error: 'Block not found' }
+  )
+};
+
 /**
  * Listen for messages from background script
  */
-chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-  switch (request.action) {
-    case 'showNotification':
-      showNotification(request.message, request.type);
-      sendResponse({ success: true });
-      break;
-      
-    case 'getPageInfo':
-      sendResponse({
-        success: true,
-        url: window.location.href,
-        title: document.title,
-        domain: window.location.hostname
-      });
-      break;
-      
-    default:
-      sendResponse({ success: false, error: 'Unknown action' });
-  }
-  
-  return true;
-});
+chrome.runtime.onMessage.addListener(createMessageDispatcher('content', messageHandlers));
 
 // Initialize when DOM is ready
 if (document.readyState === 'loading') {
@@ -0,0 +1,180 @@
+/**
+ * Options page script for Tab Splitter extension
+ * Renders a form for every setting in SETTINGS_SCHEMA and saves it to sync storage
+ */
+
+class TabSplitterOptions {
+  constructor() {
+    this.settingsForm = document.getElementById('settingsForm');
+    this.resetSettingsBtn = document.getElementById('resetSettings');
+    this.statusMessage = document.getElementById('statusMessage');
+
+    this.init();
+  }
+
+  /**
+   * Initialize the options page
+   */
+  async init() {
+    this.renderForm();
+    this.fillForm(await getSettings());
+    this.setupEventListeners();
+
+    // Reflect changes saved from another options tab
+    onSettingsChanged(newSettings => {
+      this.fillForm(newSettings);
+    });
+  }
+
+  /**
+   * Build one form row per setting
+   */
+  renderForm() {
+    Object.entries(SETTINGS_SCHEMA).forEach(([key, definition]) => {
+      const row = document.createElement('div');
+      row.className = 'setting';
+      row.setAttribute('data-setting', key);
+
+      const text = document.createElement('div');
+      text.className = 'setting-text';
+
+      const label = document.createElement('label');
+      label.className = 'setting-label';
+      label.htmlFor = `setting-${key}`;
+      label.textContent = definition.label;
+
+      const description = document.createElement('p');
+      description.className = 'setting-description';
+      description.textContent = definition.description;
+
+      const error = document.createElement('p');
+      error.className = 'setting-error';
+
+      text.appendChild(label);
+      text.appendChild(description);
+      text.appendChild(error);
+
+      const input = document.createElement('input');
+      input.id = `setting-${key}`;
+      input.name = key;
+
+      if (definition.type === 'boolean') {
+        input.type = 'checkbox';
+      } else {
+        input.type = 'number';
+        input.className = 'setting-input';
+        input.min = definition.min;
+        input.max = definition.max;
+        input.step = definition.step;
+      }
+
+      row.appendChild(text);
+      row.appendChild(input);
+      this.settingsForm.appendChild(row);
+    });
+  }
+
+  /**
+   * Show settings values in the form
+   * @param {Object} settings - Complete settings
+   */
+  fillForm(settings) {
+    Object.entries(settings).forEach(([key, value]) => {
+      const input = this.settingsForm.elements[key];
+      if (!input) return;
+
+      if (input.type === 'checkbox') {
+        input.checked = value;
+      } else {
+        input.value = value;
+      }
+    });
+
+    this.showErrors({});
+  }
+
+  /**
+   * Read typed values from the form
+   * @returns {Object} Setting values
+   */
+  readForm() {
+    const values = {};
+
+    Object.entries(SETTINGS_SCHEMA).forEach(([key, definition]) => {
+      const input = this.settingsForm.elements[key];
+      values[key] = definition.type === 'boolean' ? input.checked : Number(input.value);
+    });
+
+    return values;
+  }
+
+  /**
+   * Show validation errors next to their settings
+   * @param {Object} errors - Error messages keyed by setting name
+   */
+  showErrors(errors) {
+    this.settingsForm.querySelectorAll('.setting').forEach(row => {
+      const key = row.getAttribute('data-setting');
+      row.classList.toggle('invalid', Boolean(errors[key]));
+      row.querySelector('.setting-error').textContent = errors[key] || '';
+    });
+  }
+
+  /**
+   * Setup event listeners
+   */
+  setupEventListeners() {
+    this.settingsForm.addEventListener('submit', (event) => {
+      event.preventDefault();
+      this.handleSave();
+    });
+
+    this.resetSettingsBtn.addEventListener('click', () => {
+      this.handleReset();
+    });
+  }
+
+  /**
+   * Handle saving the form
+   */
+  async handleSave() {
+    const result = await saveSettings(this.readForm());
+
+    if (result.success) {
+      this.showErrors({});
+      this.showStatus('Settings saved', 'success');
+    } else {
+      this.showErrors(result.errors || {});
+      this.showStatus('Error: ' + result.error, 'error');
+    }
+  }
+
+  /**
+   * Handle restoring default settings
+   */
+  async handleReset() {
+    const result = await resetSettings();
+
+    if (result.success) {
+      this.fillForm(result.settings);
+      this.showStatus('Defaults restored', 'success');
+    } else {
+      this.showStatus('Error: ' + result.error, 'error');
+    }
+  }
+
+  /**
+   * Show status message
+   * @param {string} message - Status message
+   * @param {string} type - Message type (success, error)
+   */
+  showStatus(message, type) {
+    this.statusMessage.textContent = message;
+    this.statusMessage.className = `status-message ${type}`;
+  }
+}
+
+// Initialize options page when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  new TabSplitterOptions();
+});
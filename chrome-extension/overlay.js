@@ -0,0 +1,402 @@
+/**
+ * Overlay UI kit for Tab Splitter extension
+ * In-page toasts, panels, badges and highlights rendered inside a closed
+ * shadow root so host-page CSS cannot restyle them, used by the content script
+ */
+
+// Toasts beyond this many wait in a queue until one is dismissed
+const MAX_VISIBLE_TOASTS = 3;
+
+// Matches the exit transition in OVERLAY_STYLES
+const OVERLAY_EXIT_DURATION = 200;
+
+const OVERLAY_STYLES = `
+  :host {
+    all: initial;
+    position: fixed;
+    inset: 0;
+    z-index: 2147483647;
+    pointer-events: none;
+    color-scheme: light dark;
+
+    --surface: #ffffff;
+    --surface-muted: #f8f9fa;
+    --border: #dadce0;
+    --text: #202124;
+    --text-muted: #5f6368;
+    --accent: #1a73e8;
+    --accent-text: #ffffff;
+    --success: #137333;
+    --error: #d93025;
+    --info: #1a73e8;
+    --highlight: #fbbc04;
+    --shadow: 0 8px 24px rgba(0, 0, 0, 0.2);
+  }
+
+  @media (prefers-color-scheme: dark) {
+    :host {
+      --surface: #292a2d;
+      --surface-muted: #202124;
+      --border: #5f6368;
+      --text: #e8eaed;
+      --text-muted: #9aa0a6;
+      --accent: #8ab4f8;
+      --accent-text: #202124;
+      --success: #81c995;
+      --error: #f28b82;
+      --info: #8ab4f8;
+      --shadow: 0 8px 24px rgba(0, 0, 0, 0.6);
+    }
+  }
+
+  * {
+    box-sizing: border-box;
+    margin: 0;
+    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+  }
+
+  .toasts {
+    position: absolute;
+    top: 20px;
+    right: 20px;
+    display: flex;
+    flex-direction: column;
+    gap: 8px;
+    width: 320px;
+  }
+
+  .toast {
+    display: flex;
+    align-items: center;
+    gap: 12px;
+    padding: 12px 16px;
+    border-left: 4px solid var(--info);
+    border-radius: 8px;
+    background: var(--surface);
+    color: var(--text);
+    font-size: 14px;
+    line-height: 1.4;
+    box-shadow: var(--shadow);
+    pointer-events: auto;
+    transition: opacity 0.2s ease, transform 0.2s ease;
+  }
+
+  .toast.success { border-left-color: var(--success); }
+  .toast.error { border-left-color: var(--error); }
+
+  .toast.entering,
+  .toast.leaving {
+    opacity: 0;
+    transform: translateX(24px);
+  }
+
+  .toast-message {
+    flex: 1;
+    min-width: 0;
+    overflow-wrap: anywhere;
+  }
+
+  .button {
+    flex-shrink: 0;
+    padding: 4px 10px;
+    border: none;
+    border-radius: 4px;
+    background: transparent;
+    color: var(--accent);
+    font-size: 12px;
+    font-weight: 500;
+    cursor: pointer;
+  }
+
+  .button:hover { background: var(--surface-muted); }
+  .button:focus-visible { outline: 2px solid var(--accent); }
+
+  .button.primary {
+    background: var(--accent);
+    color: var(--accent-text);
+  }
+
+  .button.icon {
+    color: var(--text-muted);
+    font-size: 16px;
+    line-height: 1;
+  }
+
+  .panel {
+    position: absolute;
+    display: flex;
+    flex-direction: column;
+    border: 1px solid var(--border);
+    border-radius: 8px;
+    background: var(--surface);
+    box-shadow: var(--shadow);
+    overflow: hidden;
+    pointer-events: auto;
+  }
+
+  .panel-header {
+    display: flex;
+    align-items: center;
+    gap: 8px;
+    padding: 8px 12px;
+    border-bottom: 1px solid var(--border);
+    background: var(--surface-muted);
+  }
+
+  .panel-title {
+    flex: 1;
+    min-width: 0;
+    font-size: 12px;
+    color: var(--text-muted);
+    white-space: nowrap;
+    overflow: hidden;
+    text-overflow: ellipsis;
+  }
+
+  .panel iframe {
+    flex: 1;
+    width: 100%;
+    border: none;
+    background: #ffffff;
+  }
+
+  .badge {
+    position: absolute;
+    bottom: 16px;
+    left: 16px;
+    padding: 4px 10px;
+    border-radius: 12px;
+    background: var(--accent);
+    color: var(--accent-text);
+    font-size: 12px;
+    font-weight: 500;
+    opacity: 0.9;
+  }
+
+  .highlight {
+    position: absolute;
+    border: 3px solid var(--highlight);
+    border-radius: 4px;
+    transition: opacity 0.2s ease;
+  }
+
+  .highlight.leaving { opacity: 0; }
+
+  @media (prefers-reduced-motion: reduce) {
+    * {
+      transition: none !important;
+      animation: none !important;
+    }
+  }
+`;
+
+let overlayHost = null;
+let overlayRoot = null;
+let overlayToasts = null;
+const visibleToasts = [];
+const queuedToasts = [];
+
+/**
+ * Get the overlay's shadow root, creating it (or re-attaching it after the page removed it) as needed
+ * @returns {ShadowRoot} Closed shadow root holding the overlay
+ */
+function getOverlayRoot() {
+  if (!overlayHost) {
+    overlayHost = document.createElement('tab-splitter-overlay');
+    overlayRoot = overlayHost.attachShadow({ mode: 'closed' });
+
+    // Page rules on the host element outrank :host, so pin its placement inline
+    overlayHost.style.cssText = 'all: initial !important; position: fixed !important; inset: 0 !important; ' +
+      'z-index: 2147483647 !important; pointer-events: none !important;';
+
+    const style = document.createElement('style');
+    style.textContent = OVERLAY_STYLES;
+
+    overlayToasts = document.createElement('div');
+    overlayToasts.className = 'toasts';
+    overlayToasts.setAttribute('role', 'status');
+    overlayToasts.setAttribute('aria-live', 'polite');
+
+    overlayRoot.appendChild(style);
+    overlayRoot.appendChild(overlayToasts);
+  }
+
+  // Attach to the root element so pages without a body still get the overlay
+  if (!overlayHost.isConnected) {
+    document.documentElement.appendChild(overlayHost);
+  }
+
+  return overlayRoot;
+}
+
+/**
+ * Check whether an event target is the overlay (events from inside a closed shadow root are retargeted to its host)
+ * @param {EventTarget} target - Event target
+ * @returns {boolean} True for the overlay host element
+ */
+function isOverlayElement(target) {
+  return Boolean(overlayHost) && target === overlayHost;
+}
+
+/**
+ * Create a button styled for the overlay
+ * @param {string} label - Button label
+ * @param {string} [variant] - Style variant (primary, icon)
+ * @returns {HTMLButtonElement} Button element
+ */
+function createOverlayButton(label, variant) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = variant ? `button ${variant}` : 'button';
+  button.textContent = label;
+  return button;
+}
+
+/**
+ * Add an element to the overlay
+ * @param {HTMLElement} element - Element to show; positioned by the caller
+ * @returns {HTMLElement} The element
+ */
+function addOverlayElement(element) {
+  getOverlayRoot().appendChild(element);
+  return element;
+}
+
+/**
+ * Show a toast, queueing it when too many are already showing
+ * @param {Object} options - Toast options
+ * @param {string} options.message - Message to show
+ * @param {string} [options.type='info'] - Toast type (success, error, info)
+ * @param {number} [options.duration] - Milliseconds before it closes; stays until dismissed when omitted
+ * @param {Array<Object>} [options.actions] - Buttons ({ label, onClick }); clicking one also dismisses the toast
+ * @returns {Object} Toast handle with a dismiss() method
+ */
+function showToast({ message, type = 'info', duration, actions = [] }) {
+  const toast = {
+    message: message,
+    type: type,
+    duration: duration,
+    actions: actions,
+    element: null,
+    timer: null,
+    dismiss: () => dismissToast(toast)
+  };
+
+  if (visibleToasts.length < MAX_VISIBLE_TOASTS) {
+    renderToast(toast);
+  } else {
+    queuedToasts.push(toast);
+  }
+
+  return toast;
+}
+
+/**
+ * Put a toast on screen and start its timer
+ * @param {Object} toast - Toast from showToast
+ */
+function renderToast(toast) {
+  getOverlayRoot();
+
+  const element = document.createElement('div');
+  element.className = `toast ${toast.type} entering`;
+  element.setAttribute('role', toast.type === 'error' ? 'alert' : 'status');
+
+  const message = document.createElement('p');
+  message.className = 'toast-message';
+  message.textContent = toast.message;
+  element.appendChild(message);
+
+  toast.actions.forEach(action => {
+    const button = createOverlayButton(action.label);
+    button.addEventListener('click', () => {
+      toast.dismiss();
+      action.onClick();
+    });
+    element.appendChild(button);
+  });
+
+  const closeButton = createOverlayButton('×', 'icon');
+  closeButton.title = 'Dismiss';
+  closeButton.setAttribute('aria-label', 'Dismiss');
+  closeButton.addEventListener('click', toast.dismiss);
+  element.appendChild(closeButton);
+
+  // Hovering keeps a toast open long enough to read it or reach its buttons
+  element.addEventListener('mouseenter', () => clearTimeout(toast.timer));
+  element.addEventListener('mouseleave', () => startToastTimer(toast));
+
+  toast.element = element;
+  visibleToasts.push(toast);
+  overlayToasts.appendChild(element);
+
+  // Lay out the entering state first so removing it animates the toast in
+  element.getBoundingClientRect();
+  element.classList.remove('entering');
+  startToastTimer(toast);
+}
+
+/**
+ * (Re)start the timer that closes a toast
+ * @param {Object} toast - Toast from showToast
+ */
+function startToastTimer(toast) {
+  clearTimeout(toast.timer);
+  if (toast.duration) {
+    toast.timer = setTimeout(toast.dismiss, toast.duration);
+  }
+}
+
+/**
+ * Close a toast and show the next queued one
+ * @param {Object} toast - Toast from showToast
+ */
+function dismissToast(toast) {
+  const queuedIndex = queuedToasts.indexOf(toast);
+  if (queuedIndex !== -1) {
+    queuedToasts.splice(queuedIndex, 1);
+    return;
+  }
+
+  const visibleIndex = visibleToasts.indexOf(toast);
+  if (visibleIndex === -1) return;
+
+  visibleToasts.splice(visibleIndex, 1);
+  clearTimeout(toast.timer);
+  toast.element.classList.add('leaving');
+  setTimeout(() => toast.element.remove(), OVERLAY_EXIT_DURATION);
+
+  if (queuedToasts.length > 0) {
+    renderToast(queuedToasts.shift());
+  }
+}
+
+/**
+ * Outline a page element from the overlay, following it while the page scrolls
+ * @param {Element} element - Element to outline
+ * @param {number} duration - Milliseconds to keep the outline
+ */
+function showOverlayHighlight(element, duration) {
+  const highlight = addOverlayElement(document.createElement('div'));
+  highlight.className = 'highlight';
+  const endAt = Date.now() + duration;
+
+  const follow = () => {
+    const rect = element.getBoundingClientRect();
+    Object.assign(highlight.style, {
+      top: `${rect.top - 4}px`,
+      left: `${rect.left - 4}px`,
+      width: `${rect.width + 8}px`,
+      height: `${rect.height + 8}px`
+    });
+
+    if (Date.now() < endAt) {
+      requestAnimationFrame(follow);
+    } else {
+      highlight.classList.add('leaving');
+      setTimeout(() => highlight.remove(), OVERLAY_EXIT_DURATION);
+    }
+  };
+
+  follow();
+}
@@ -3,19 +3,97 @@
  * Handles UI interactions and communication with background script
  */
 
+// Recent errors listed in the popup; the copied report includes the whole log
+const MAX_VISIBLE_ERRORS = 5;
+
+/**
+ * Score how well a search query fuzzily matches some text
+ * @param {string} query - Search query
+ * @param {string} text - Text to search
+ * @returns {number} Higher for better matches, or -1 when the query's characters do not all appear in order
+ */
+function fuzzyMatchScore(query, text) {
+  const needle = query.toLowerCase().replace(/\s+/g, '');
+  const haystack = text.toLowerCase();
+  if (!needle) return 0;
+
+  let score = 0;
+  let position = -1;
+  let previous = -2;
+
+  for (const character of needle) {
+    position = haystack.indexOf(character, position + 1);
+    if (position === -1) return -1;
+
+    // Reward runs of adjacent characters and matches at the start of a word
+    if (position === previous + 1) score += 5;
+    if (position === 0 || /[\s\/._-]/.test(haystack[position - 1])) score += 3;
+    score += 1;
+    previous = position;
+  }
+
+  // Prefer matches that are tight and early in the text
+  return score - position / haystack.length;
+}
+
 class TabSplitterPopup {
   constructor() {
-    this.leftTabSelect = document.getElementById('leftTabSelect');
-    this.rightTabSelect = document.getElementById('rightTabSelect');
+    this.tabPicker = document.getElementById('tabPicker');
+    this.tabSearch = document.getElementById('tabSearch');
+    this.leftAssignment = document.getElementById('leftAssignment');
+    this.rightAssignment = document.getElementById('rightAssignment');
+    this.groupSelects = document.querySelectorAll('.assignment-group');
+    this.highlightedButtons = document.querySelectorAll('.assignment-highlighted');
     this.splitButton = document.getElementById('splitButton');
     this.splitCurrentAndNextBtn = document.getElementById('splitCurrentAndNext');
     this.splitFirstTwoBtn = document.getElementById('splitFirstTwo');
+    this.splitUrlInput = document.getElementById('splitUrlInput');
+    this.splitUrlBtn = document.getElementById('splitUrlButton');
+    this.unsplitBtn = document.getElementById('unsplitButton');
+    this.swapPanesBtn = document.getElementById('swapPanes');
+    this.swapTabsBtn = document.getElementById('swapTabs');
+    this.rotatePanesBtn = document.getElementById('rotatePanes');
+    this.comparePanesBtn = document.getElementById('comparePanes');
+    this.syncScrollToggle = document.getElementById('syncScrollToggle');
     this.statusMessage = document.getElementById('statusMessage');
     this.referenceWindowsList = document.getElementById('referenceWindowsList');
     this.closeAllReferencesBtn = document.getElementById('closeAllReferences');
+    this.layoutSelect = document.getElementById('layoutSelect');
+    this.paneCountSelect = document.getElementById('paneCountSelect');
+    this.layoutPanes = document.getElementById('layoutPanes');
+    this.applyLayoutBtn = document.getElementById('applyLayout');
+    this.splitRatioSlider = document.getElementById('splitRatioSlider');
+    this.splitRatioValue = document.getElementById('splitRatioValue');
+    this.splitRatioPresets = document.querySelectorAll('.split-ratio-presets [data-ratio]');
+    this.displayOptions = document.getElementById('displayOptions');
+    this.spanDisplaysToggle = document.getElementById('spanDisplaysToggle');
+    this.referenceOtherDisplayToggle = document.getElementById('referenceOtherDisplayToggle');
+    this.workspaceNameInput = document.getElementById('workspaceNameInput');
+    this.saveWorkspaceBtn = document.getElementById('saveWorkspace');
+    this.workspacesList = document.getElementById('workspacesList');
+    this.toggleWorkspaceImportBtn = document.getElementById('toggleWorkspaceImport');
+    this.exportWorkspacesBtn = document.getElementById('exportWorkspaces');
+    this.workspaceImport = document.getElementById('workspaceImport');
+    this.workspaceImportText = document.getElementById('workspaceImportText');
+    this.importWorkspacesBtn = document.getElementById('importWorkspaces');
+    this.errorLogList = document.getElementById('errorLogList');
+    this.copyDiagnosticsBtn = document.getElementById('copyDiagnostics');
+    this.clearErrorLogBtn = document.getElementById('clearErrorLog');
+    this.openOptionsBtn = document.getElementById('openOptions');
     
-    this.tabs = [];
-    this.referenceWindows = new Map(); // windowId -> { tabId, tabInfo }
+    this.tabs = []; // tabs of the current window
+    this.windows = []; // every normal window with its tabs, current first
+    this.pickerTabIds = []; // tab IDs shown in the picker, in order
+    this.activePickerIndex = -1;
+    this.tabGroups = [];
+    this.leftTabIds = [];
+    this.rightTabIds = [];
+    this.thumbnails = {}; // tabId -> thumbnail data URL
+    this.referenceWindows = new Map(); // windowId -> { tabId, title, url, favIconUrl, bounds }
+    this.splitSessions = [];
+    this.workspaces = [];
+    this.errorLog = []; // recent failures, newest first
+    this.settings = getDefaultSettings();
     this.isLoading = false;
     
     this.init();
@@ -26,27 +104,43 @@ class TabSplitterPopup {
    */
   async init() {
     try {
+      this.settings = await getSettings();
+      this.splitRatioSlider.value = this.settings.defaultSplitPercent;
+      onSettingsChanged(newSettings => {
+        this.settings = newSettings;
+      });
+
       await this.loadTabs();
+      await this.loadTabGroups();
       await this.loadReferenceWindows();
+      await this.loadSplitSessions();
+      await this.loadDisplays();
+      await this.loadWorkspaces();
+      await this.loadErrorLog();
       this.setupEventListeners();
+      this.updateSplitRatioDisplay();
       this.updateSplitButtonState();
+      this.tabSearch.focus();
     } catch (error) {
-      this.showStatus('Error loading tabs: ' + error.message, 'error');
+      this.showStatus('Error loading tabs: ' + error.message, 'error', error.suggestion);
     }
   }
 
   /**
-   * Load tabs from current window
+   * Load tabs from every window
    */
   async loadTabs() {
     try {
-      const response = await this.sendMessage({ action: 'getCurrentWindowTabs' });
+      const response = await this.sendMessage({ action: 'getAllTabs' });
       
       if (response.success) {
-        this.tabs = response.data;
+        this.windows = response.windows;
+        const currentWindow = this.windows.find(entry => entry.current);
+        this.tabs = currentWindow ? currentWindow.tabs : [];
         this.populateTabSelects();
+        this.loadThumbnails();
       } else {
-        throw new Error(response.error || 'Failed to load tabs');
+        throw this.createResponseError(response, 'Failed to load tabs');
       }
     } catch (error) {
       console.error('Error loading tabs:', error);
@@ -55,28 +149,468 @@ class TabSplitterPopup {
   }
 
   /**
-   * Populate tab select dropdowns
+   * Populate the tab picker and layout pane selects
    */
   populateTabSelects() {
-    // Clear existing options (except the first placeholder)
-    this.leftTabSelect.innerHTML = '<option value="">Select a tab...</option>';
-    this.rightTabSelect.innerHTML = '<option value="">Select a tab...</option>';
-
-    // Add tabs to both selects
-    this.tabs.forEach(tab => {
-      const option = document.createElement('option');
-      option.value = tab.id;
-      option.textContent = this.getTabDisplayName(tab);
-      option.title = tab.url;
-      
-      this.leftTabSelect.appendChild(option.cloneNode(true));
-      this.rightTabSelect.appendChild(option);
-    });
-
     // Auto-select current tab for left window
     const currentTab = this.tabs.find(tab => tab.active);
     if (currentTab) {
-      this.leftTabSelect.value = currentTab.id;
+      this.leftTabIds = [currentTab.id];
+    }
+
+    this.renderTabPicker();
+    this.populatePaneCounts();
+  }
+
+  /**
+   * Get the tabs of every window
+   * @returns {Array<Object>} Tab objects
+   */
+  getAllTabs() {
+    return this.windows.flatMap(entry => entry.tabs);
+  }
+
+  /**
+   * Render the thumbnail grid of tabs matching the search, grouped by window
+   */
+  renderTabPicker() {
+    this.tabPicker.innerHTML = '';
+    this.pickerTabIds = [];
+
+    const query = this.tabSearch.value.trim();
+    let otherWindowNumber = 1;
+
+    this.windows.forEach(entry => {
+      const label = entry.current
+        ? 'This window'
+        : (entry.isReference ? 'Reference window' : `Window ${++otherWindowNumber}`);
+
+      const matches = entry.tabs
+        .map(tab => ({ tab: tab, score: fuzzyMatchScore(query, `${tab.title || ''} ${tab.url || ''}`) }))
+        .filter(match => match.score >= 0);
+      if (query) {
+        matches.sort((a, b) => b.score - a.score);
+      }
+      if (matches.length === 0) return;
+
+      const heading = document.createElement('div');
+      heading.className = 'tab-picker-window';
+      heading.textContent = `${label} (${matches.length})`;
+      this.tabPicker.appendChild(heading);
+
+      matches.forEach(({ tab }) => {
+        this.tabPicker.appendChild(this.createTabCard(tab));
+        this.pickerTabIds.push(tab.id);
+        this.renderThumbnail(tab);
+      });
+    });
+
+    if (this.pickerTabIds.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'tab-picker-empty';
+      empty.textContent = 'No tabs match your search';
+      this.tabPicker.appendChild(empty);
+    }
+
+    // Searching jumps the keyboard selection to the best match
+    this.setActivePickerIndex(query && this.pickerTabIds.length > 0 ? 0 : -1);
+    this.updateTabAssignments();
+  }
+
+  /**
+   * Create a tab picker card with assign buttons
+   * @param {Object} tab - Tab object
+   * @returns {HTMLElement} Card element
+   */
+  createTabCard(tab) {
+    const card = document.createElement('div');
+    card.className = 'tab-card';
+    card.setAttribute('data-tab-id', tab.id);
+    card.title = tab.url;
+
+    const thumbnail = document.createElement('div');
+    thumbnail.className = 'tab-thumbnail';
+
+    const info = document.createElement('div');
+    info.className = 'tab-card-info';
+
+    const favicon = document.createElement('img');
+    favicon.className = 'tab-card-favicon';
+    favicon.alt = '';
+    if (tab.favIconUrl) {
+      favicon.src = tab.favIconUrl;
+    }
+
+    const title = document.createElement('span');
+    title.className = 'tab-card-title';
+    title.textContent = this.getTabDisplayName(tab);
+
+    info.appendChild(favicon);
+    info.appendChild(title);
+
+    // Splitting still works, but in-page features (notifications, peek, linked scrolling, compare) do not
+    if (tab.contentRestriction) {
+      card.classList.add('restricted');
+      card.title = `${tab.url}\n${tab.contentRestriction}`;
+
+      const restricted = document.createElement('span');
+      restricted.className = 'tab-card-restricted';
+      restricted.textContent = 'Limited';
+      restricted.title = tab.contentRestriction;
+      info.appendChild(restricted);
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'tab-card-actions';
+    actions.appendChild(this.createAssignButton('left', 'Left', tab.id));
+    actions.appendChild(this.createAssignButton('right', 'Right', tab.id));
+    actions.appendChild(this.createAssignButton('reference', 'Ref', tab.id));
+
+    card.appendChild(thumbnail);
+    card.appendChild(info);
+    card.appendChild(actions);
+
+    return card;
+  }
+
+  /**
+   * Move the keyboard selection in the tab picker
+   * @param {number} index - Index into the shown tabs, or -1 for none
+   */
+  setActivePickerIndex(index) {
+    this.activePickerIndex = index;
+    const activeTabId = this.pickerTabIds[index];
+
+    this.tabPicker.querySelectorAll('.tab-card').forEach(card => {
+      const isActive = parseInt(card.getAttribute('data-tab-id')) === activeTabId;
+      card.classList.toggle('keyboard-active', isActive);
+      if (isActive) {
+        card.scrollIntoView({ block: 'nearest' });
+      }
+    });
+  }
+
+  /**
+   * Handle keyboard navigation from the tab search box
+   * @param {KeyboardEvent} event - Key event
+   */
+  handleSearchKeydown(event) {
+    const count = this.pickerTabIds.length;
+
+    switch (event.key) {
+      case 'ArrowDown':
+        event.preventDefault();
+        if (count > 0) this.setActivePickerIndex((this.activePickerIndex + 1) % count);
+        break;
+
+      case 'ArrowUp':
+        event.preventDefault();
+        if (count > 0) this.setActivePickerIndex((this.activePickerIndex - 1 + count) % count);
+        break;
+
+      case 'Enter':
+        event.preventDefault();
+        if (this.activePickerIndex >= 0) {
+          // Enter assigns left, Shift+Enter right; Ctrl adds to the side instead of replacing it
+          this.assignTab(
+            event.shiftKey ? 'right' : 'left',
+            this.pickerTabIds[this.activePickerIndex],
+            event.ctrlKey || event.metaKey
+          );
+        }
+        break;
+
+      case 'Escape':
+        if (this.tabSearch.value) {
+          event.preventDefault();
+          this.tabSearch.value = '';
+          this.renderTabPicker();
+        }
+        break;
+    }
+  }
+
+  /**
+   * Create an assign button for a tab picker card
+   * @param {string} target - Assignment target (left, right, reference)
+   * @param {string} label - Button label
+   * @param {number} tabId - Tab ID
+   * @returns {HTMLButtonElement} Button element
+   */
+  createAssignButton(target, label, tabId) {
+    const button = document.createElement('button');
+    button.className = 'btn btn-small btn-secondary tab-card-action';
+    button.textContent = label;
+    button.setAttribute('data-assign', target);
+    button.setAttribute('data-tab-id', tabId);
+
+    if (target === 'reference') {
+      button.title = 'Open as reference window';
+    }
+
+    return button;
+  }
+
+  /**
+   * Show a tab's snapshot, or its favicon when no snapshot is cached yet
+   * @param {Object} tab - Tab object
+   */
+  renderThumbnail(tab) {
+    const card = this.tabPicker.querySelector(`.tab-card[data-tab-id="${tab.id}"]`);
+    if (!card) return;
+
+    const thumbnail = card.querySelector('.tab-thumbnail');
+    const badge = thumbnail.querySelector('.tab-card-badge');
+    thumbnail.innerHTML = '';
+
+    const image = document.createElement('img');
+    image.alt = '';
+    if (this.thumbnails[tab.id]) {
+      image.src = this.thumbnails[tab.id];
+    } else {
+      image.className = 'tab-thumbnail-placeholder';
+      if (tab.favIconUrl) {
+        image.src = tab.favIconUrl;
+      }
+    }
+
+    thumbnail.appendChild(image);
+    if (badge) {
+      thumbnail.appendChild(badge);
+    }
+  }
+
+  /**
+   * Load cached tab snapshots from the background script
+   */
+  async loadThumbnails() {
+    try {
+      const response = await this.sendMessage({
+        action: 'getTabThumbnails',
+        tabIds: this.getAllTabs().map(tab => tab.id)
+      });
+
+      if (response.success) {
+        this.thumbnails = response.thumbnails;
+        this.getAllTabs().forEach(tab => this.renderThumbnail(tab));
+      }
+    } catch (error) {
+      console.error('Error loading thumbnails:', error);
+    }
+  }
+
+  /**
+   * Load the tab groups of the current window into the group pickers
+   */
+  async loadTabGroups() {
+    try {
+      const response = await this.sendMessage({ action: 'getTabGroups' });
+      if (response.success) {
+        this.tabGroups = response.groups;
+        this.renderGroupSelects();
+      }
+    } catch (error) {
+      console.error('Error loading tab groups:', error);
+    }
+  }
+
+  /**
+   * Fill each side's group picker with the window's tab groups
+   */
+  renderGroupSelects() {
+    this.groupSelects.forEach(select => {
+      select.innerHTML = '';
+
+      const placeholder = document.createElement('option');
+      placeholder.value = '';
+      placeholder.textContent = this.tabGroups.length > 0 ? 'Tab group...' : 'No tab groups';
+      select.appendChild(placeholder);
+
+      this.tabGroups.forEach(group => {
+        const tabCount = this.tabs.filter(tab => tab.groupId === group.id).length;
+        const option = document.createElement('option');
+        option.value = group.id;
+        option.textContent = `${group.title || 'Untitled group'} (${tabCount})`;
+        select.appendChild(option);
+      });
+
+      select.disabled = this.tabGroups.length === 0;
+    });
+  }
+
+  /**
+   * Get the tabs assigned to one side
+   * @param {string} side - Window side (left, right)
+   * @returns {Array<number>} Tab IDs
+   */
+  getSideTabIds(side) {
+    return side === 'left' ? this.leftTabIds : this.rightTabIds;
+  }
+
+  /**
+   * Assign a tab to the left or right window
+   * @param {string} side - Window side (left, right)
+   * @param {number} tabId - Tab ID
+   * @param {boolean} [additive=false] - Add the tab to the side, or take it off if already there
+   */
+  assignTab(side, tabId, additive = false) {
+    const current = this.getSideTabIds(side);
+
+    if (!additive) {
+      this.assignTabs(side, [tabId]);
+    } else if (current.includes(tabId)) {
+      this.assignTabs(side, current.filter(id => id !== tabId));
+    } else {
+      this.assignTabs(side, [...current, tabId]);
+    }
+  }
+
+  /**
+   * Replace the tabs assigned to the left or right window
+   * @param {string} side - Window side (left, right)
+   * @param {Array<number>} tabIds - Tab IDs in the order they should appear
+   */
+  assignTabs(side, tabIds) {
+    // A tab can only occupy one side, so take it away from the other
+    if (side === 'left') {
+      this.leftTabIds = tabIds;
+      this.rightTabIds = this.rightTabIds.filter(tabId => !tabIds.includes(tabId));
+    } else {
+      this.rightTabIds = tabIds;
+      this.leftTabIds = this.leftTabIds.filter(tabId => !tabIds.includes(tabId));
+    }
+
+    this.updateTabAssignments();
+    this.updateSplitButtonState();
+  }
+
+  /**
+   * Assign every tab of a tab group to one side
+   * @param {string} side - Window side (left, right)
+   * @param {number} groupId - Tab group ID
+   */
+  assignGroup(side, groupId) {
+    const tabIds = this.tabs.filter(tab => tab.groupId === groupId).map(tab => tab.id);
+    if (tabIds.length > 0) {
+      this.assignTabs(side, tabIds);
+    }
+  }
+
+  /**
+   * Assign the tabs highlighted in the tab strip to one side
+   * @param {string} side - Window side (left, right)
+   */
+  assignHighlighted(side) {
+    const tabIds = this.tabs.filter(tab => tab.highlighted).map(tab => tab.id);
+    if (tabIds.length > 0) {
+      this.assignTabs(side, tabIds);
+    }
+  }
+
+  /**
+   * Describe the tabs assigned to one side
+   * @param {Array<number>} tabIds - Tab IDs
+   * @returns {string} Summary text
+   */
+  describeAssignment(tabIds) {
+    const allTabs = this.getAllTabs();
+    const tabs = tabIds.map(tabId => allTabs.find(tab => tab.id === tabId)).filter(Boolean);
+
+    if (tabs.length === 0) {
+      return 'Select a tab...';
+    }
+    if (tabs.length === 1) {
+      return this.getTabDisplayName(tabs[0]);
+    }
+
+    // Name the group when the side is exactly one whole group
+    const group = this.tabGroups.find(tabGroup => tabGroup.id === tabs[0].groupId);
+    const groupSize = group ? this.tabs.filter(tab => tab.groupId === group.id).length : 0;
+    if (group && groupSize === tabs.length && tabs.every(tab => tab.groupId === group.id)) {
+      return `${group.title || 'Untitled group'} (${tabs.length} tabs)`;
+    }
+
+    return `${tabs.length} tabs`;
+  }
+
+  /**
+   * Update the assignment summary and card highlights
+   */
+  updateTabAssignments() {
+    this.leftAssignment.textContent = this.describeAssignment(this.leftTabIds);
+    this.rightAssignment.textContent = this.describeAssignment(this.rightTabIds);
+
+    this.tabPicker.querySelectorAll('.tab-card').forEach(card => {
+      const tabId = parseInt(card.getAttribute('data-tab-id'));
+      const isLeft = this.leftTabIds.includes(tabId);
+      const isRight = this.rightTabIds.includes(tabId);
+
+      card.classList.toggle('assigned-left', isLeft);
+      card.classList.toggle('assigned-right', isRight);
+
+      const thumbnail = card.querySelector('.tab-thumbnail');
+      const existingBadge = thumbnail.querySelector('.tab-card-badge');
+      if (existingBadge) {
+        existingBadge.remove();
+      }
+
+      if (isLeft || isRight) {
+        const badge = document.createElement('span');
+        badge.className = 'tab-card-badge';
+        badge.textContent = isLeft ? 'Left' : 'Right';
+        thumbnail.appendChild(badge);
+      }
+    });
+  }
+
+  /**
+   * Populate pane count options for the multi-pane layout
+   */
+  populatePaneCounts() {
+    const maxPanes = Math.min(this.tabs.length, 6);
+    this.paneCountSelect.innerHTML = '';
+
+    for (let count = 2; count <= maxPanes; count++) {
+      const option = document.createElement('option');
+      option.value = count;
+      option.textContent = `${count} panes`;
+      this.paneCountSelect.appendChild(option);
+    }
+
+    this.applyLayoutBtn.disabled = maxPanes < 2;
+    this.renderLayoutPanes();
+  }
+
+  /**
+   * Render one tab select per layout pane, pre-filled from the current tab onward
+   */
+  renderLayoutPanes() {
+    const paneCount = parseInt(this.paneCountSelect.value) || 0;
+    const startIndex = Math.max(this.tabs.findIndex(tab => tab.active), 0);
+    this.layoutPanes.innerHTML = '';
+
+    for (let i = 0; i < paneCount; i++) {
+      const pane = document.createElement('div');
+      pane.className = 'layout-pane';
+
+      const label = document.createElement('label');
+      label.className = 'tab-label';
+      label.textContent = `Pane ${i + 1}`;
+
+      const select = document.createElement('select');
+      select.className = 'tab-select layout-pane-select';
+      this.tabs.forEach(tab => {
+        const option = document.createElement('option');
+        option.value = tab.id;
+        option.textContent = this.getTabDisplayName(tab);
+        option.title = tab.url;
+        select.appendChild(option);
+      });
+      select.value = this.tabs[(startIndex + i) % this.tabs.length].id;
+
+      pane.appendChild(label);
+      pane.appendChild(select);
+      this.layoutPanes.appendChild(pane);
     }
   }
 
@@ -88,11 +622,9 @@ class TabSplitterPopup {
       const response = await this.sendMessage({ action: 'getReferenceWindows' });
       if (response.success) {
         this.referenceWindows.clear();
-        // Load tab info for each reference window
-        for (const windowId of response.windows) {
-          // We'll need to get tab info from the window
-          // For now, we'll track the window IDs and update the UI
-        }
+        response.windows.forEach(record => {
+          this.referenceWindows.set(record.windowId, record);
+        });
         this.updateReferenceWindowsList();
       }
     } catch (error) {
@@ -100,6 +632,248 @@ class TabSplitterPopup {
     }
   }
 
+  /**
+   * Load split sessions that can be undone
+   */
+  async loadSplitSessions() {
+    try {
+      const response = await this.sendMessage({ action: 'getSplitSessions' });
+      if (response.success) {
+        this.splitSessions = response.sessions;
+        this.updateSplitSessionButtons();
+      }
+    } catch (error) {
+      console.error('Error loading split sessions:', error);
+    }
+  }
+
+  /**
+   * Enable the buttons that act on the latest split when one exists
+   */
+  updateSplitSessionButtons() {
+    const hasSplit = this.splitSessions.length > 0 && !this.isLoading;
+    this.unsplitBtn.disabled = !hasSplit;
+    this.swapPanesBtn.disabled = !hasSplit;
+    this.swapTabsBtn.disabled = !hasSplit;
+    this.rotatePanesBtn.disabled = !hasSplit;
+    this.comparePanesBtn.disabled = !hasSplit;
+
+    const latestSession = this.splitSessions[this.splitSessions.length - 1];
+    this.syncScrollToggle.disabled = !hasSplit;
+    this.syncScrollToggle.checked = Boolean(latestSession && latestSession.syncScroll);
+  }
+
+  /**
+   * Show multi-monitor options when more than one display is attached
+   */
+  async loadDisplays() {
+    try {
+      const response = await this.sendMessage({ action: 'getDisplayInfo' });
+      if (response.success) {
+        this.displayOptions.classList.toggle('hidden', response.count < 2);
+      }
+    } catch (error) {
+      console.error('Error loading displays:', error);
+    }
+  }
+
+  /**
+   * Load saved workspaces
+   */
+  async loadWorkspaces() {
+    try {
+      const response = await this.sendMessage({ action: 'getWorkspaces' });
+      if (response.success) {
+        this.workspaces = response.workspaces;
+        this.updateWorkspacesList();
+      }
+    } catch (error) {
+      console.error('Error loading workspaces:', error);
+    }
+  }
+
+  /**
+   * Update the saved workspaces list UI
+   */
+  updateWorkspacesList() {
+    this.exportWorkspacesBtn.disabled = this.workspaces.length === 0;
+
+    if (this.workspaces.length === 0) {
+      this.workspacesList.innerHTML = '<p class="no-references">No saved workspaces</p>';
+      return;
+    }
+
+    this.workspacesList.innerHTML = '';
+    this.workspaces.forEach(workspace => {
+      const item = document.createElement('div');
+      item.className = 'reference-item';
+      item.setAttribute('data-workspace-item', workspace.id);
+
+      const info = document.createElement('div');
+      info.className = 'reference-info';
+
+      const name = document.createElement('p');
+      name.className = 'reference-title';
+      name.textContent = workspace.name;
+
+      const paneCount = workspace.windows.filter(entry => entry.role === 'pane').length;
+      const referenceCount = workspace.windows.length - paneCount;
+      const summary = document.createElement('p');
+      summary.className = 'reference-url';
+      summary.textContent = `${paneCount} panes, ${referenceCount} references`;
+
+      info.appendChild(name);
+      info.appendChild(summary);
+
+      const actions = document.createElement('div');
+      actions.className = 'reference-actions';
+      actions.appendChild(this.createWorkspaceActionButton('restore', 'Restore', workspace.id));
+      actions.appendChild(this.createWorkspaceActionButton('rename', 'Rename', workspace.id));
+      actions.appendChild(this.createWorkspaceActionButton('export', 'Export', workspace.id));
+      actions.appendChild(this.createWorkspaceActionButton('delete', 'Delete', workspace.id));
+
+      item.appendChild(info);
+      item.appendChild(actions);
+      this.workspacesList.appendChild(item);
+    });
+  }
+
+  /**
+   * Create an action button for a workspace list item
+   * @param {string} action - Action name (restore, rename, export, delete)
+   * @param {string} label - Button label
+   * @param {string} workspaceId - Workspace ID
+   * @returns {HTMLButtonElement} Button element
+   */
+  createWorkspaceActionButton(action, label, workspaceId) {
+    const button = document.createElement('button');
+    button.className = 'btn btn-small btn-secondary';
+    button.textContent = label;
+    button.setAttribute('data-workspace-action', action);
+    button.setAttribute('data-workspace-id', workspaceId);
+    return button;
+  }
+
+  /**
+   * Load the recent failures recorded by the background script
+   */
+  async loadErrorLog() {
+    try {
+      const response = await this.sendMessage({ action: 'getErrorLog' });
+      if (response.success) {
+        this.errorLog = response.entries;
+        this.updateErrorLogList();
+      }
+    } catch (error) {
+      console.error('Error loading error log:', error);
+    }
+  }
+
+  /**
+   * Update the recent errors list UI
+   */
+  updateErrorLogList() {
+    this.clearErrorLogBtn.disabled = this.errorLog.length === 0;
+
+    if (this.errorLog.length === 0) {
+      this.errorLogList.innerHTML = '<p class="no-references">No recent errors</p>';
+      return;
+    }
+
+    this.errorLogList.innerHTML = '';
+    this.errorLog.slice(0, MAX_VISIBLE_ERRORS).forEach(entry => {
+      const item = document.createElement('div');
+      item.className = 'reference-item error-item';
+
+      const info = document.createElement('div');
+      info.className = 'reference-info';
+
+      const message = document.createElement('p');
+      message.className = 'reference-title';
+      message.textContent = entry.error;
+      message.title = entry.error;
+
+      const details = document.createElement('p');
+      details.className = 'reference-url';
+      details.textContent = `${new Date(entry.timestamp).toLocaleTimeString()} · ${entry.action} · ${entry.code}`;
+
+      info.appendChild(message);
+      info.appendChild(details);
+
+      if (entry.suggestion) {
+        const suggestion = document.createElement('p');
+        suggestion.className = 'error-suggestion';
+        suggestion.textContent = entry.suggestion;
+        info.appendChild(suggestion);
+      }
+
+      item.appendChild(info);
+      this.errorLogList.appendChild(item);
+    });
+  }
+
+  /**
+   * Build a plain-text report of the environment and recent failures
+   * @returns {string} Report text
+   */
+  buildDiagnosticsReport() {
+    const manifest = chrome.runtime.getManifest();
+    const lines = [
+      `Tab Splitter ${manifest.version} (protocol ${PROTOCOL_VERSION})`,
+      `Browser: ${navigator.userAgent}`,
+      `Generated: ${new Date().toISOString()}`,
+      `Windows: ${this.windows.length}, tabs in this window: ${this.tabs.length}, ` +
+        `splits: ${this.splitSessions.length}, references: ${this.referenceWindows.size}`,
+      `Settings: ${JSON.stringify(this.settings)}`,
+      '',
+      `Recent errors (${this.errorLog.length}):`
+    ];
+
+    if (this.errorLog.length === 0) {
+      lines.push('  none');
+    }
+
+    this.errorLog.forEach(entry => {
+      lines.push(`  ${new Date(entry.timestamp).toISOString()} [${entry.code}] ${entry.action} from ${entry.source}: ${entry.error}`);
+    });
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Handle copying the diagnostics report to the clipboard
+   */
+  async handleCopyDiagnostics() {
+    try {
+      await this.loadErrorLog();
+      await navigator.clipboard.writeText(this.buildDiagnosticsReport());
+      this.showStatus('Diagnostics report copied', 'success');
+    } catch (error) {
+      console.error('Error copying diagnostics report:', error);
+      this.showStatus('Error: ' + error.message, 'error', error.suggestion);
+    }
+  }
+
+  /**
+   * Handle clearing the error log
+   */
+  async handleClearErrorLog() {
+    try {
+      const response = await this.sendMessage({ action: 'clearErrorLog' });
+
+      if (response.success) {
+        this.errorLog = [];
+        this.updateErrorLogList();
+        this.showStatus('Error log cleared', 'success');
+      } else {
+        throw this.createResponseError(response, 'Failed to clear error log');
+      }
+    } catch (error) {
+      console.error('Error clearing error log:', error);
+      this.showStatus('Error: ' + error.message, 'error', error.suggestion);
+    }
+  }
+
   /**
    * Update the reference windows list UI
    */
@@ -114,22 +888,117 @@ class TabSplitterPopup {
       this.referenceWindows.forEach((refData, windowId) => {
         const refItem = document.createElement('div');
         refItem.className = 'reference-item';
-        refItem.innerHTML = `
-          <div class="reference-info">
-            <p class="reference-title">${this.getTabDisplayName(refData.tabInfo)}</p>
-            <p class="reference-url">${refData.tabInfo.url}</p>
-          </div>
-          <div class="reference-actions">
-            <button class="btn btn-small btn-secondary" data-window-id="${windowId}">
-              Close
-            </button>
-          </div>
-        `;
+
+        const favicon = document.createElement('img');
+        favicon.className = 'reference-favicon';
+        favicon.alt = '';
+        if (refData.favIconUrl) {
+          favicon.src = refData.favIconUrl;
+        }
+
+        // Tab titles and URLs come from arbitrary pages, so set them as text
+        const info = document.createElement('div');
+        info.className = 'reference-info';
+
+        const title = document.createElement('p');
+        title.className = 'reference-title';
+        title.textContent = this.getTabDisplayName(refData);
+        title.title = refData.title || '';
+
+        const url = document.createElement('p');
+        url.className = 'reference-url';
+        url.textContent = refData.url || '';
+        url.title = refData.url || '';
+
+        info.appendChild(title);
+        info.appendChild(url);
+
+        const actions = document.createElement('div');
+        actions.className = 'reference-actions';
+        actions.appendChild(this.createReferenceActionButton('focus', 'Focus', windowId));
+        actions.appendChild(this.createReferenceActionButton('promote', 'Split', windowId));
+        actions.appendChild(this.createReferenceDockSelect(refData, windowId));
+        actions.appendChild(this.createReferenceWeightSelect(refData, windowId));
+        actions.appendChild(this.createReferenceActionButton('close', 'Close', windowId));
+
+        refItem.appendChild(favicon);
+        refItem.appendChild(info);
+        refItem.appendChild(actions);
         this.referenceWindowsList.appendChild(refItem);
       });
     }
   }
 
+  /**
+   * Create an action button for a reference window list item
+   * @param {string} action - Action name (focus, promote, close)
+   * @param {string} label - Button label
+   * @param {number} windowId - Reference window ID
+   * @returns {HTMLButtonElement} Button element
+   */
+  createReferenceActionButton(action, label, windowId) {
+    const button = document.createElement('button');
+    button.className = 'btn btn-small btn-secondary';
+    button.textContent = label;
+    button.setAttribute('data-action', action);
+    button.setAttribute('data-window-id', windowId);
+
+    if (action === 'promote') {
+      button.title = 'Promote to split with the current tab';
+    }
+
+    return button;
+  }
+
+  /**
+   * Create the dock edge picker for a reference window list item
+   * @param {Object} refData - Reference window record
+   * @param {number} windowId - Reference window ID
+   * @returns {HTMLSelectElement} Select element
+   */
+  createReferenceDockSelect(refData, windowId) {
+    const select = document.createElement('select');
+    select.className = 'reference-select';
+    select.title = 'Edge of the current window to keep this reference beside';
+    select.setAttribute('data-action', 'dock');
+    select.setAttribute('data-window-id', windowId);
+
+    [['', 'Undocked'], ['left', 'Left'], ['right', 'Right'], ['top', 'Top'], ['bottom', 'Bottom']].forEach(([value, label]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      select.appendChild(option);
+    });
+
+    select.value = refData.dockedTo ? refData.dockEdge : '';
+    return select;
+  }
+
+  /**
+   * Create the stack share picker for a reference window list item
+   * @param {Object} refData - Reference window record
+   * @param {number} windowId - Reference window ID
+   * @returns {HTMLSelectElement} Select element
+   */
+  createReferenceWeightSelect(refData, windowId) {
+    const select = document.createElement('select');
+    select.className = 'reference-select';
+    select.title = 'Share of the edge when several references are stacked there';
+    select.setAttribute('data-action', 'weight');
+    select.setAttribute('data-window-id', windowId);
+    select.disabled = !refData.dockedTo;
+
+    for (let weight = 1; weight <= 3; weight++) {
+      const option = document.createElement('option');
+      option.value = weight;
+      option.textContent = `${weight}×`;
+      select.appendChild(option);
+    }
+
+    select.value = refData.dockWeight;
+    return select;
+  }
+
   /**
    * Get display name for tab
    * @param {Object} tab - Tab object
@@ -150,15 +1019,56 @@ class TabSplitterPopup {
    * Setup event listeners
    */
   setupEventListeners() {
-    // Tab selection changes
-    this.leftTabSelect.addEventListener('change', () => {
-      this.updateSplitButtonState();
-      this.validateTabSelection();
+    // Tab search and keyboard navigation
+    this.tabSearch.addEventListener('input', () => {
+      this.renderTabPicker();
     });
-    
-    this.rightTabSelect.addEventListener('change', () => {
-      this.updateSplitButtonState();
-      this.validateTabSelection();
+
+    this.tabSearch.addEventListener('keydown', (event) => {
+      this.handleSearchKeydown(event);
+    });
+
+    // Tab picker assign buttons
+    this.tabPicker.addEventListener('click', (event) => {
+      if (!event.target.matches('[data-assign]')) return;
+
+      const tabId = parseInt(event.target.getAttribute('data-tab-id'));
+      const target = event.target.getAttribute('data-assign');
+      if (target === 'reference') {
+        this.handleCreateReference(tabId);
+      } else {
+        this.assignTab(target, tabId, event.ctrlKey || event.metaKey || event.shiftKey);
+      }
+    });
+
+    // Whole tab groups and highlighted tabs per side
+    this.groupSelects.forEach(select => {
+      select.addEventListener('change', () => {
+        if (select.value) {
+          this.assignGroup(select.getAttribute('data-side'), parseInt(select.value));
+          select.value = '';
+        }
+      });
+    });
+
+    this.highlightedButtons.forEach(button => {
+      button.addEventListener('click', () => {
+        this.assignHighlighted(button.getAttribute('data-side'));
+      });
+    });
+
+    // Recent errors
+    this.copyDiagnosticsBtn.addEventListener('click', () => {
+      this.handleCopyDiagnostics();
+    });
+
+    this.clearErrorLogBtn.addEventListener('click', () => {
+      this.handleClearErrorLog();
+    });
+
+    // Options page
+    this.openOptionsBtn.addEventListener('click', () => {
+      chrome.runtime.openOptionsPage();
     });
 
     // Split button
@@ -175,20 +1085,167 @@ class TabSplitterPopup {
       this.handleQuickSplit('firstTwo');
     });
 
+    this.splitUrlBtn.addEventListener('click', () => {
+      this.handleSplitWithUrl();
+    });
+
+    this.splitUrlInput.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter') {
+        event.preventDefault();
+        this.handleSplitWithUrl();
+      }
+    });
+
+    this.unsplitBtn.addEventListener('click', () => {
+      this.handleUnsplit();
+    });
+
+    this.swapPanesBtn.addEventListener('click', () => {
+      this.handlePaneAction({ action: 'swapPanes', mode: 'bounds' }, 'Panes swapped');
+    });
+
+    this.swapTabsBtn.addEventListener('click', () => {
+      this.handlePaneAction({ action: 'swapPanes', mode: 'tabs' }, 'Tabs swapped');
+    });
+
+    this.rotatePanesBtn.addEventListener('click', () => {
+      this.handlePaneAction({ action: 'rotatePanes', direction: 'forward' }, 'Panes rotated');
+    });
+
+    this.comparePanesBtn.addEventListener('click', () => {
+      this.handlePaneAction({ action: 'comparePanes' }, 'Comparison opened');
+    });
+
+    this.syncScrollToggle.addEventListener('change', async () => {
+      const enabled = this.syncScrollToggle.checked;
+      await this.handlePaneAction(
+        { action: 'setSyncScroll', enabled: enabled },
+        enabled ? 'Scrolling linked' : 'Scrolling unlinked'
+      );
+      await this.loadSplitSessions();
+    });
+
+    // Split ratio slider and presets
+    this.splitRatioSlider.addEventListener('input', () => {
+      this.updateSplitRatioDisplay();
+    });
+
+    this.splitRatioPresets.forEach(preset => {
+      preset.addEventListener('click', () => {
+        this.splitRatioSlider.value = preset.getAttribute('data-ratio');
+        this.updateSplitRatioDisplay();
+      });
+    });
+
+    // Multi-pane layout controls
+    this.paneCountSelect.addEventListener('change', () => {
+      this.renderLayoutPanes();
+    });
+
+    this.applyLayoutBtn.addEventListener('click', () => {
+      this.handleApplyLayout();
+    });
+
     // Reference window buttons
     this.closeAllReferencesBtn.addEventListener('click', () => {
       this.handleCloseAllReferences();
     });
 
-    // Add reference window buttons to each tab option
-    this.addReferenceWindowButtons();
+    // Workspace controls
+    this.saveWorkspaceBtn.addEventListener('click', () => {
+      this.handleSaveWorkspace();
+    });
+
+    this.workspaceNameInput.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter') {
+        this.handleSaveWorkspace();
+      }
+    });
+
+    this.toggleWorkspaceImportBtn.addEventListener('click', () => {
+      this.workspaceImport.classList.toggle('hidden');
+    });
+
+    this.importWorkspacesBtn.addEventListener('click', () => {
+      this.handleImportWorkspaces();
+    });
+
+    this.exportWorkspacesBtn.addEventListener('click', () => {
+      this.exportWorkspaces(this.workspaces, 'tab-splitter-workspaces.json');
+    });
+
+    this.workspacesList.addEventListener('click', (event) => {
+      if (!event.target.matches('[data-workspace-action]')) return;
+
+      const workspaceId = event.target.getAttribute('data-workspace-id');
+      switch (event.target.getAttribute('data-workspace-action')) {
+        case 'restore':
+          this.handleRestoreWorkspace(workspaceId);
+          break;
+        case 'rename':
+          this.startRenameWorkspace(workspaceId);
+          break;
+        case 'export':
+          const workspace = this.workspaces.find(candidate => candidate.id === workspaceId);
+          this.exportWorkspaces([workspace], `${workspace.name}.json`);
+          break;
+        case 'delete':
+          this.handleDeleteWorkspace(workspaceId);
+          break;
+      }
+    });
+
+    // Add event delegation for reference window action buttons
+    this.referenceWindowsList.addEventListener('click', (event) => {
+      if (!event.target.matches('button[data-window-id]')) return;
+
+      const windowId = parseInt(event.target.getAttribute('data-window-id'));
+      switch (event.target.getAttribute('data-action')) {
+        case 'focus':
+          this.handleFocusReference(windowId);
+          break;
+        case 'promote':
+          this.handlePromoteReference(windowId);
+          break;
+        case 'close':
+          this.handleCloseReference(windowId);
+          break;
+      }
+    });
+
+    this.referenceWindowsList.addEventListener('change', (event) => {
+      if (!event.target.matches('select[data-window-id]')) return;
+
+      const windowId = parseInt(event.target.getAttribute('data-window-id'));
+      const refData = this.referenceWindows.get(windowId);
+      switch (event.target.getAttribute('data-action')) {
+        case 'dock':
+          this.handleDockReference(windowId, event.target.value || null);
+          break;
+        case 'weight':
+          this.handleDockReference(windowId, refData.dockEdge, parseInt(event.target.value));
+          break;
+      }
+    });
+  }
+
+  /**
+   * Get the selected split ratio
+   * @returns {number} Fraction of the width given to the left window
+   */
+  getSplitRatio() {
+    return parseInt(this.splitRatioSlider.value) / 100;
+  }
 
-    // Add event delegation for reference window close buttons
-    this.referenceWindowsList.addEventListener('click', (event) => {
-      if (event.target.matches('[data-window-id]')) {
-        const windowId = parseInt(event.target.getAttribute('data-window-id'));
-        this.handleCloseReference(windowId);
-      }
+  /**
+   * Update the split ratio label and highlight the matching preset
+   */
+  updateSplitRatioDisplay() {
+    const leftPercent = parseInt(this.splitRatioSlider.value);
+    this.splitRatioValue.textContent = `${leftPercent} / ${100 - leftPercent}`;
+
+    this.splitRatioPresets.forEach(preset => {
+      preset.classList.toggle('active', parseInt(preset.getAttribute('data-ratio')) === leftPercent);
     });
   }
 
@@ -196,27 +1253,11 @@ class TabSplitterPopup {
    * Update split button state based on selection
    */
   updateSplitButtonState() {
-    const leftTabId = this.leftTabSelect.value;
-    const rightTabId = this.rightTabSelect.value;
-    const isValid = leftTabId && rightTabId && leftTabId !== rightTabId;
+    const isValid = this.leftTabIds.length > 0 && this.rightTabIds.length > 0;
     
     this.splitButton.disabled = !isValid || this.isLoading;
   }
 
-  /**
-   * Validate tab selection and show warnings
-   */
-  validateTabSelection() {
-    const leftTabId = this.leftTabSelect.value;
-    const rightTabId = this.rightTabSelect.value;
-    
-    if (leftTabId && rightTabId && leftTabId === rightTabId) {
-      this.showStatus('Please select different tabs for each window', 'error');
-    } else {
-      this.hideStatus();
-    }
-  }
-
   /**
    * Handle quick split actions
    * @param {string} type - Type of quick split
@@ -244,10 +1285,101 @@ class TabSplitterPopup {
       }
 
       if (leftTab && rightTab) {
-        await this.performSplit(leftTab.id, rightTab.id);
+        await this.performSplit([leftTab.id], [rightTab.id]);
+      }
+    } catch (error) {
+      this.showStatus('Error with quick split: ' + error.message, 'error', error.suggestion);
+    }
+  }
+
+  /**
+   * Handle splitting the current tab with a typed URL or search
+   */
+  async handleSplitWithUrl() {
+    const input = this.splitUrlInput.value.trim();
+    if (!input) {
+      this.showStatus('Enter a URL or search', 'error');
+      return;
+    }
+
+    if (this.isLoading) return;
+
+    this.setLoading(true);
+    this.showStatus('Opening page...', 'info');
+
+    try {
+      const response = await this.sendMessage({
+        action: 'splitWithUrl',
+        input: input,
+        ratio: this.getSplitRatio()
+      });
+
+      if (response.success) {
+        this.showStatus('Windows split successfully!', 'success');
+        this.scheduleClose();
+      } else {
+        throw this.createResponseError(response, 'Failed to split with URL');
+      }
+    } catch (error) {
+      console.error('Error splitting with URL:', error);
+      this.showStatus('Error: ' + error.message, 'error', error.suggestion);
+    } finally {
+      this.setLoading(false);
+    }
+  }
+
+  /**
+   * Handle undoing the most recent split
+   */
+  async handleUnsplit() {
+    if (this.isLoading) return;
+
+    this.setLoading(true);
+    this.showStatus('Restoring original window...', 'info');
+
+    try {
+      const response = await this.sendMessage({ action: 'unsplit' });
+
+      if (response.success) {
+        this.showStatus(`Restored ${response.restoredTabs} tabs to one window`, 'success');
+        // Close popup after successful restore
+        this.scheduleClose();
+      } else {
+        throw this.createResponseError(response, 'Failed to undo split');
+      }
+    } catch (error) {
+      console.error('Error undoing split:', error);
+      this.showStatus('Error: ' + error.message, 'error', error.suggestion);
+      await this.loadSplitSessions();
+    } finally {
+      this.setLoading(false);
+    }
+  }
+
+  /**
+   * Handle swapping or rotating the panes of the latest split
+   * @param {Object} message - Message for the background script
+   * @param {string} successMessage - Status to show on success
+   */
+  async handlePaneAction(message, successMessage) {
+    if (this.isLoading) return;
+
+    this.setLoading(true);
+
+    try {
+      const response = await this.sendMessage(message);
+
+      if (response.success) {
+        this.showStatus(successMessage, 'success');
+      } else {
+        throw this.createResponseError(response, 'Failed to rearrange panes');
       }
     } catch (error) {
-      this.showStatus('Error with quick split: ' + error.message, 'error');
+      console.error('Error rearranging panes:', error);
+      this.showStatus('Error: ' + error.message, 'error', error.suggestion);
+      await this.loadSplitSessions();
+    } finally {
+      this.setLoading(false);
     }
   }
 
@@ -255,58 +1387,122 @@ class TabSplitterPopup {
    * Handle manual split
    */
   async handleSplit() {
-    const leftTabId = parseInt(this.leftTabSelect.value);
-    const rightTabId = parseInt(this.rightTabSelect.value);
+    const leftTabIds = this.leftTabIds;
+    const rightTabIds = this.rightTabIds;
 
-    if (isNaN(leftTabId) || isNaN(rightTabId) || !leftTabId || !rightTabId) {
+    if (leftTabIds.length === 0 || rightTabIds.length === 0) {
       this.showStatus('Please select tabs for both windows', 'error');
       return;
     }
 
-    if (leftTabId === rightTabId) {
+    if (leftTabIds.some(tabId => rightTabIds.includes(tabId))) {
       this.showStatus('Please select different tabs', 'error');
       return;
     }
 
-    await this.performSplit(leftTabId, rightTabId);
+    await this.performSplit(leftTabIds, rightTabIds);
   }
 
   /**
    * Perform the actual split operation
-   * @param {number} leftTabId - Left tab ID
-   * @param {number} rightTabId - Right tab ID
+   * @param {Array<number>} leftTabIds - Left tab IDs
+   * @param {Array<number>} rightTabIds - Right tab IDs
    */
-  async performSplit(leftTabId, rightTabId) {
+  async performSplit(leftTabIds, rightTabIds) {
     if (this.isLoading) return;
 
     this.setLoading(true);
     this.showStatus('Splitting windows...', 'info');
 
     try {
-      console.log('Attempting to split windows with tab IDs:', { leftTabId, rightTabId });
+      const ratio = this.getSplitRatio();
+      console.log('Attempting to split windows with tab IDs:', { leftTabIds, rightTabIds, ratio });
       const response = await this.sendMessage({
         action: 'splitWindow',
-        leftTabId: leftTabId,
-        rightTabId: rightTabId
+        leftTabIds: leftTabIds,
+        rightTabIds: rightTabIds,
+        ratio: ratio,
+        spanDisplays: this.spanDisplaysToggle.checked
       });
 
       if (response.success) {
         this.showStatus('Windows split successfully!', 'success');
         // Close popup after successful split
-        setTimeout(() => {
-          window.close();
-        }, 1500);
+        this.scheduleClose();
       } else {
-        throw new Error(response.error || 'Failed to split windows');
+        throw this.createResponseError(response, 'Failed to split windows');
       }
     } catch (error) {
       console.error('Error splitting windows:', error);
-      this.showStatus('Error: ' + error.message, 'error');
+      this.showStatus('Error: ' + error.message, 'error', error.suggestion);
+    } finally {
+      this.setLoading(false);
+    }
+  }
+
+  /**
+   * Handle applying the selected multi-pane layout
+   */
+  async handleApplyLayout() {
+    const layout = this.layoutSelect.value;
+    const tabIds = Array.from(this.layoutPanes.querySelectorAll('.layout-pane-select'))
+      .map(select => parseInt(select.value));
+
+    if (tabIds.length < 2 || tabIds.some(tabId => isNaN(tabId))) {
+      this.showStatus('Please select a tab for every pane', 'error');
+      return;
+    }
+
+    if (new Set(tabIds).size !== tabIds.length) {
+      this.showStatus('Please select different tabs for each pane', 'error');
+      return;
+    }
+
+    await this.performLayout(tabIds, layout);
+  }
+
+  /**
+   * Perform a multi-pane layout operation
+   * @param {Array<number>} tabIds - Ordered tab IDs, one per pane
+   * @param {string} layout - Layout name
+   */
+  async performLayout(tabIds, layout) {
+    if (this.isLoading) return;
+
+    this.setLoading(true);
+    this.showStatus('Applying layout...', 'info');
+
+    try {
+      const response = await this.sendMessage({
+        action: 'splitLayout',
+        tabIds: tabIds,
+        layout: layout
+      });
+
+      if (response.success) {
+        this.showStatus('Layout applied successfully!', 'success');
+        // Close popup after successful layout
+        this.scheduleClose();
+      } else {
+        throw this.createResponseError(response, 'Failed to apply layout');
+      }
+    } catch (error) {
+      console.error('Error applying layout:', error);
+      this.showStatus('Error: ' + error.message, 'error', error.suggestion);
     } finally {
       this.setLoading(false);
     }
   }
 
+  /**
+   * Close the popup after the configured delay
+   */
+  scheduleClose() {
+    setTimeout(() => {
+      window.close();
+    }, this.settings.popupCloseDelay);
+  }
+
   /**
    * Set loading state
    * @param {boolean} loading - Loading state
@@ -316,11 +1512,16 @@ class TabSplitterPopup {
     this.splitButton.disabled = loading;
     this.splitCurrentAndNextBtn.disabled = loading;
     this.splitFirstTwoBtn.disabled = loading;
+    this.splitUrlBtn.disabled = loading;
     this.closeAllReferencesBtn.disabled = loading;
+    this.applyLayoutBtn.disabled = loading || this.tabs.length < 2;
+    this.updateSplitSessionButtons();
     
-    // Disable reference window buttons
-    const refButtons = document.querySelectorAll('.btn-reference');
-    refButtons.forEach(btn => btn.disabled = loading);
+    // Disable tab picker buttons
+    const pickerButtons = this.tabPicker.querySelectorAll('.tab-card-action');
+    pickerButtons.forEach(btn => btn.disabled = loading);
+    this.highlightedButtons.forEach(btn => btn.disabled = loading);
+    this.groupSelects.forEach(select => select.disabled = loading || this.tabGroups.length === 0);
     
     if (loading) {
       document.body.classList.add('loading');
@@ -333,54 +1534,43 @@ class TabSplitterPopup {
    * Show status message
    * @param {string} message - Status message
    * @param {string} type - Message type (success, error, info)
+   * @param {string} [suggestion] - What the user can do about an error
    */
-  showStatus(message, type = 'info') {
+  showStatus(message, type = 'info', suggestion) {
     this.statusMessage.textContent = message;
     this.statusMessage.className = `status-message ${type}`;
+
+    if (suggestion) {
+      const hint = document.createElement('p');
+      hint.className = 'status-suggestion';
+      hint.textContent = suggestion;
+      this.statusMessage.appendChild(hint);
+    }
+
+    // Failures are logged by the background script as they happen
+    if (type === 'error') {
+      this.loadErrorLog();
+    }
   }
 
   /**
-   * Hide status message
+   * Turn a failed response into an Error carrying its code and recovery suggestion
+   * @param {Object} response - Failed response from the background script
+   * @param {string} fallbackMessage - Message to use when the response has none
+   * @returns {Error} Error with code and suggestion properties
    */
-  hideStatus() {
-    this.statusMessage.classList.add('hidden');
+  createResponseError(response, fallbackMessage) {
+    const error = new Error(response.error || fallbackMessage);
+    error.code = response.code;
+    error.suggestion = response.suggestion;
+    return error;
   }
 
   /**
-   * Add reference window buttons to tab options
+   * Hide status message
    */
-  addReferenceWindowButtons() {
-    // Add reference window buttons to the tab selection area
-    const tabGroups = document.querySelectorAll('.tab-group');
-    tabGroups.forEach(group => {
-      const select = group.querySelector('.tab-select');
-      const label = group.querySelector('.tab-label');
-      
-      // Create reference button container
-      const refButtonContainer = document.createElement('div');
-      refButtonContainer.className = 'reference-button-container';
-      refButtonContainer.style.marginTop = '8px';
-      
-      // Create reference button
-      const refButton = document.createElement('button');
-      refButton.className = 'btn btn-reference';
-      refButton.textContent = 'Open as Reference';
-      refButton.style.width = '100%';
-      refButton.style.fontSize = '12px';
-      
-      // Add click handler
-      refButton.addEventListener('click', () => {
-        const tabId = parseInt(select.value);
-        if (tabId && !isNaN(tabId)) {
-          this.handleCreateReference(tabId);
-        } else {
-          this.showStatus('Please select a tab first', 'error');
-        }
-      });
-      
-      refButtonContainer.appendChild(refButton);
-      group.appendChild(refButtonContainer);
-    });
+  hideStatus() {
+    this.statusMessage.classList.add('hidden');
   }
 
   /**
@@ -396,7 +1586,8 @@ class TabSplitterPopup {
     try {
       const response = await this.sendMessage({
         action: 'createReferenceWindow',
-        tabId: tabId
+        tabId: tabId,
+        otherDisplay: this.referenceOtherDisplayToggle.checked
       });
 
       if (response.success) {
@@ -404,11 +1595,11 @@ class TabSplitterPopup {
         // Reload reference windows list
         await this.loadReferenceWindows();
       } else {
-        throw new Error(response.error || 'Failed to create reference window');
+        throw this.createResponseError(response, 'Failed to create reference window');
       }
     } catch (error) {
       console.error('Error creating reference window:', error);
-      this.showStatus('Error: ' + error.message, 'error');
+      this.showStatus('Error: ' + error.message, 'error', error.suggestion);
     } finally {
       this.setLoading(false);
     }
@@ -429,14 +1620,275 @@ class TabSplitterPopup {
         this.showStatus('Reference window closed', 'success');
         await this.loadReferenceWindows();
       } else {
-        throw new Error(response.error || 'Failed to close reference window');
+        throw this.createResponseError(response, 'Failed to close reference window');
       }
     } catch (error) {
       console.error('Error closing reference window:', error);
-      this.showStatus('Error: ' + error.message, 'error');
+      this.showStatus('Error: ' + error.message, 'error', error.suggestion);
+    }
+  }
+
+  /**
+   * Handle docking a reference window to an edge of the current window, or undocking it
+   * @param {number} windowId - Reference window ID
+   * @param {string|null} edge - Edge to dock to, or null to undock
+   * @param {number} [weight] - Share of the edge when references are stacked
+   */
+  async handleDockReference(windowId, edge, weight) {
+    try {
+      const response = await this.sendMessage(edge
+        ? { action: 'dockReferenceWindow', windowId: windowId, edge: edge, weight: weight }
+        : { action: 'undockReferenceWindow', windowId: windowId });
+
+      if (response.success) {
+        this.showStatus(edge ? `Reference window docked ${edge}` : 'Reference window undocked', 'success');
+        await this.loadReferenceWindows();
+      } else {
+        throw this.createResponseError(response, 'Failed to change docking');
+      }
+    } catch (error) {
+      console.error('Error changing reference docking:', error);
+      this.showStatus('Error: ' + error.message, 'error', error.suggestion);
+    }
+  }
+
+  /**
+   * Handle focusing a specific reference window
+   * @param {number} windowId - Window ID to focus
+   */
+  async handleFocusReference(windowId) {
+    try {
+      const response = await this.sendMessage({
+        action: 'focusReferenceWindow',
+        windowId: windowId
+      });
+
+      if (!response.success) {
+        throw this.createResponseError(response, 'Failed to focus reference window');
+      }
+    } catch (error) {
+      console.error('Error focusing reference window:', error);
+      this.showStatus('Error: ' + error.message, 'error', error.suggestion);
+    }
+  }
+
+  /**
+   * Handle promoting a reference window to a split with the current tab
+   * @param {number} windowId - Window ID to promote
+   */
+  async handlePromoteReference(windowId) {
+    if (this.isLoading) return;
+
+    this.setLoading(true);
+    this.showStatus('Splitting with reference window...', 'info');
+
+    try {
+      const response = await this.sendMessage({
+        action: 'promoteReferenceWindow',
+        windowId: windowId,
+        ratio: this.getSplitRatio()
+      });
+
+      if (response.success) {
+        this.showStatus('Windows split successfully!', 'success');
+        // Close popup after successful split
+        this.scheduleClose();
+      } else {
+        throw this.createResponseError(response, 'Failed to promote reference window');
+      }
+    } catch (error) {
+      console.error('Error promoting reference window:', error);
+      this.showStatus('Error: ' + error.message, 'error', error.suggestion);
+    } finally {
+      this.setLoading(false);
+    }
+  }
+
+  /**
+   * Handle saving the current arrangement as a workspace
+   */
+  async handleSaveWorkspace() {
+    const name = this.workspaceNameInput.value.trim();
+    if (!name) {
+      this.showStatus('Please enter a workspace name', 'error');
+      return;
+    }
+
+    try {
+      const response = await this.sendMessage({ action: 'saveWorkspace', name: name });
+
+      if (response.success) {
+        this.workspaceNameInput.value = '';
+        this.showStatus(`Workspace "${response.workspace.name}" saved`, 'success');
+        await this.loadWorkspaces();
+      } else {
+        throw this.createResponseError(response, 'Failed to save workspace');
+      }
+    } catch (error) {
+      console.error('Error saving workspace:', error);
+      this.showStatus('Error: ' + error.message, 'error', error.suggestion);
+    }
+  }
+
+  /**
+   * Handle restoring a saved workspace
+   * @param {string} workspaceId - Workspace ID
+   */
+  async handleRestoreWorkspace(workspaceId) {
+    if (this.isLoading) return;
+
+    this.setLoading(true);
+    this.showStatus('Restoring workspace...', 'info');
+
+    try {
+      const response = await this.sendMessage({ action: 'restoreWorkspace', workspaceId: workspaceId });
+
+      if (response.success) {
+        const skipped = response.skippedCount > 0 ? ` (${response.skippedCount} references skipped)` : '';
+        this.showStatus(`Workspace restored${skipped}`, 'success');
+        // Close popup after successful restore
+        this.scheduleClose();
+      } else {
+        throw this.createResponseError(response, 'Failed to restore workspace');
+      }
+    } catch (error) {
+      console.error('Error restoring workspace:', error);
+      this.showStatus('Error: ' + error.message, 'error', error.suggestion);
+    } finally {
+      this.setLoading(false);
+    }
+  }
+
+  /**
+   * Replace a workspace name with an inline editor
+   * @param {string} workspaceId - Workspace ID
+   */
+  startRenameWorkspace(workspaceId) {
+    const item = this.workspacesList.querySelector(`[data-workspace-item="${workspaceId}"]`);
+    const workspace = this.workspaces.find(candidate => candidate.id === workspaceId);
+    if (!item || !workspace) return;
+
+    const title = item.querySelector('.reference-title');
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'text-input';
+    input.value = workspace.name;
+    input.maxLength = 60;
+    title.replaceWith(input);
+    input.focus();
+    input.select();
+
+    let finished = false;
+    const finish = (save) => {
+      if (finished) return;
+      finished = true;
+
+      if (save && input.value.trim() && input.value.trim() !== workspace.name) {
+        this.handleRenameWorkspace(workspaceId, input.value.trim());
+      } else {
+        this.updateWorkspacesList();
+      }
+    };
+
+    input.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter') finish(true);
+      if (event.key === 'Escape') finish(false);
+    });
+    input.addEventListener('blur', () => finish(true));
+  }
+
+  /**
+   * Handle renaming a saved workspace
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} name - New name
+   */
+  async handleRenameWorkspace(workspaceId, name) {
+    try {
+      const response = await this.sendMessage({ action: 'renameWorkspace', workspaceId: workspaceId, name: name });
+
+      if (response.success) {
+        this.showStatus('Workspace renamed', 'success');
+      } else {
+        throw this.createResponseError(response, 'Failed to rename workspace');
+      }
+    } catch (error) {
+      console.error('Error renaming workspace:', error);
+      this.showStatus('Error: ' + error.message, 'error', error.suggestion);
+    } finally {
+      await this.loadWorkspaces();
     }
   }
 
+  /**
+   * Handle deleting a saved workspace
+   * @param {string} workspaceId - Workspace ID
+   */
+  async handleDeleteWorkspace(workspaceId) {
+    try {
+      const response = await this.sendMessage({ action: 'deleteWorkspace', workspaceId: workspaceId });
+
+      if (response.success) {
+        this.showStatus('Workspace deleted', 'success');
+        await this.loadWorkspaces();
+      } else {
+        throw this.createResponseError(response, 'Failed to delete workspace');
+      }
+    } catch (error) {
+      console.error('Error deleting workspace:', error);
+      this.showStatus('Error: ' + error.message, 'error', error.suggestion);
+    }
+  }
+
+  /**
+   * Handle importing workspaces from pasted JSON
+   */
+  async handleImportWorkspaces() {
+    let data;
+    try {
+      data = JSON.parse(this.workspaceImportText.value);
+    } catch (error) {
+      this.showStatus('Import is not valid JSON', 'error');
+      return;
+    }
+
+    try {
+      const response = await this.sendMessage({ action: 'importWorkspaces', data: data });
+
+      if (response.success) {
+        const skipped = response.skippedCount > 0 ? `, ${response.skippedCount} invalid skipped` : '';
+        this.showStatus(`Imported ${response.importedCount} workspaces${skipped}`, 'success');
+        this.workspaceImportText.value = '';
+        this.workspaceImport.classList.add('hidden');
+        await this.loadWorkspaces();
+      } else {
+        throw this.createResponseError(response, 'Failed to import workspaces');
+      }
+    } catch (error) {
+      console.error('Error importing workspaces:', error);
+      this.showStatus('Error: ' + error.message, 'error', error.suggestion);
+    }
+  }
+
+  /**
+   * Download workspaces as a JSON file
+   * @param {Array<Object>} workspaces - Workspaces to export
+   * @param {string} filename - Download file name
+   */
+  exportWorkspaces(workspaces, filename) {
+    const data = {
+      version: WORKSPACE_EXPORT_VERSION,
+      workspaces: workspaces.map(({ name, splits, windows }) => ({ name, splits, windows }))
+    };
+
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
   /**
    * Handle closing all reference windows
    */
@@ -455,11 +1907,11 @@ class TabSplitterPopup {
         this.showStatus(`Closed ${response.closedCount} reference windows`, 'success');
         await this.loadReferenceWindows();
       } else {
-        throw new Error(response.error || 'Failed to close reference windows');
+        throw this.createResponseError(response, 'Failed to close reference windows');
       }
     } catch (error) {
       console.error('Error closing all reference windows:', error);
-      this.showStatus('Error: ' + error.message, 'error');
+      this.showStatus('Error: ' + error.message, 'error', error.suggestion);
     } finally {
       this.setLoading(false);
     }
@@ -472,7 +1924,7 @@ class TabSplitterPopup {
    */
   sendMessage(message) {
     return new Promise((resolve, reject) => {
-      chrome.runtime.sendMessage(message, (response) => {
+      chrome.runtime.sendMessage(createMessage(message), (response) => {
         if (chrome.runtime.lastError) {
           reject(new Error(chrome.runtime.lastError.message));
         } else {
@@ -0,0 +1,519 @@
+/**
+ * Message protocol for Tab Splitter extension
+ * Action names, payload and response schemas, error codes and the dispatcher
+ * shared by the background, popup, compare page and content scripts
+ */
+
+// Bumped whenever a schema changes in a way older senders would get wrong
+const PROTOCOL_VERSION = 1;
+
+// Version of the workspace export file, written by the popup and checked on import
+const WORKSPACE_EXPORT_VERSION = 1;
+
+// Codes carried by every failed response alongside the human-readable error
+const ERROR_CODES = {
+  // Protocol failures
+  INVALID_MESSAGE: 'INVALID_MESSAGE', // not an object, or no action
+  UNSUPPORTED_VERSION: 'UNSUPPORTED_VERSION', // sent with a different protocol version
+  UNKNOWN_ACTION: 'UNKNOWN_ACTION', // no such action for this listener
+  INVALID_PAYLOAD: 'INVALID_PAYLOAD', // fields missing, unexpected or of the wrong type
+  ACTION_FAILED: 'ACTION_FAILED', // the action ran but could not do what was asked
+  INTERNAL_ERROR: 'INTERNAL_ERROR', // the handler threw
+
+  // Action failures
+  INVALID_INPUT: 'INVALID_INPUT', // a name, URL, ratio or layout the action cannot use
+  INVALID_SELECTION: 'INVALID_SELECTION', // the same tab twice, or the wrong number of tabs
+  NOT_ENOUGH_TABS: 'NOT_ENOUGH_TABS', // the window has a single tab
+  WINDOW_TOO_SMALL: 'WINDOW_TOO_SMALL', // panes would be under the minimum size
+  TAB_NOT_FOUND: 'TAB_NOT_FOUND', // the tab was closed
+  TAB_RESTRICTED: 'TAB_RESTRICTED', // a browser page extensions cannot read or script
+  WINDOW_NOT_FOUND: 'WINDOW_NOT_FOUND', // the window was closed
+  DISPLAY_NOT_FOUND: 'DISPLAY_NOT_FOUND', // a second monitor was asked for but is not connected
+  NO_SPLIT: 'NO_SPLIT', // no split session to act on
+  REFERENCE_NOT_FOUND: 'REFERENCE_NOT_FOUND', // not a tracked reference window
+  REFERENCE_LIMIT: 'REFERENCE_LIMIT', // already at the reference window limit
+  WORKSPACE_NOT_FOUND: 'WORKSPACE_NOT_FOUND', // the workspace was deleted
+  LOAD_FAILED: 'LOAD_FAILED' // a URL did not load
+};
+
+// What the user can do about each failure
+const ERROR_SUGGESTIONS = {
+  UNSUPPORTED_VERSION: 'Reload the page, or reload the extension from chrome://extensions',
+  INTERNAL_ERROR: 'Try again; if it keeps happening, copy the diagnostics report from the popup',
+  INVALID_SELECTION: 'Pick a different tab for each pane',
+  NOT_ENOUGH_TABS: 'Open another tab first',
+  WINDOW_TOO_SMALL: 'Maximize the window, pick a more even split ratio, or lower the minimum pane size in Options',
+  TAB_NOT_FOUND: 'The tab was closed; reopen the popup to refresh the tab list',
+  TAB_RESTRICTED: 'Browser pages (chrome://, the Web Store, the new tab page) cannot be used; try a regular web page',
+  WINDOW_NOT_FOUND: 'The window was closed; reopen the popup and try again',
+  DISPLAY_NOT_FOUND: 'Connect another monitor, or turn off the other-display option',
+  NO_SPLIT: 'Split two tabs first',
+  REFERENCE_NOT_FOUND: 'The reference window was closed; reopen the popup to refresh the list',
+  REFERENCE_LIMIT: 'Close a reference window, or raise the limit in Options',
+  WORKSPACE_NOT_FOUND: 'The workspace was deleted; reopen the popup to refresh the list',
+  LOAD_FAILED: 'Check the address and your connection, then try again'
+};
+
+// Chrome API error messages and the codes they map to
+const CHROME_ERROR_PATTERNS = [
+  { pattern: /No tab with id/i, code: ERROR_CODES.TAB_NOT_FOUND },
+  { pattern: /No window with id/i, code: ERROR_CODES.WINDOW_NOT_FOUND },
+  {
+    pattern: /Cannot access|cannot be scripted|chrome:\/\/|extensions gallery|Receiving end does not exist|Could not establish connection/i,
+    code: ERROR_CODES.TAB_RESTRICTED
+  }
+];
+
+// Reusable field definitions
+const FIELD_TAB_ID = { type: 'integer', min: 0 };
+const FIELD_WINDOW_ID = { type: 'integer', min: 0 };
+const FIELD_SESSION_ID = { type: 'string' };
+const FIELD_RATIO = { type: 'number', min: 0, max: 1 };
+const FIELD_SCROLL_ANCHOR = { type: 'object', nullable: true };
+
+/*
+ * Every action each listener accepts, keyed by the context that handles it.
+ * payload lists the fields a request may carry (besides action and protocolVersion);
+ * response lists the fields a successful response must carry.
+ * Field definitions: { type, required, nullable, min, max, enum, items }
+ */
+const MESSAGE_SCHEMAS = {
+  background: {
+    getCurrentWindowTabs: {
+      payload: {},
+      response: { data: { type: 'array', required: true } }
+    },
+    getAllTabs: {
+      payload: {},
+      response: { windows: { type: 'array', required: true }, count: { type: 'integer', required: true } }
+    },
+    getTabGroups: {
+      payload: {},
+      response: { groups: { type: 'array', required: true }, count: { type: 'integer', required: true } }
+    },
+    getTabThumbnails: {
+      payload: { tabIds: { type: 'array', items: FIELD_TAB_ID, required: true } },
+      response: { thumbnails: { type: 'object', required: true } }
+    },
+    getTabInfo: {
+      payload: { tabId: { ...FIELD_TAB_ID, required: true } },
+      response: { data: { type: 'object', nullable: true, required: true } }
+    },
+    getDisplayInfo: {
+      payload: {},
+      response: { displays: { type: 'array', required: true }, count: { type: 'integer', required: true } }
+    },
+    splitWindow: {
+      payload: {
+        leftTabId: FIELD_TAB_ID,
+        rightTabId: FIELD_TAB_ID,
+        leftTabIds: { type: 'array', items: FIELD_TAB_ID },
+        rightTabIds: { type: 'array', items: FIELD_TAB_ID },
+        ratio: FIELD_RATIO,
+        spanDisplays: { type: 'boolean' }
+      },
+      response: { sessionId: { ...FIELD_SESSION_ID, required: true } }
+    },
+    splitLayout: {
+      payload: {
+        tabIds: { type: 'array', items: FIELD_TAB_ID, required: true },
+        layout: { type: 'string', required: true }
+      },
+      response: { windows: { type: 'array', required: true }, sessionId: { ...FIELD_SESSION_ID, required: true } }
+    },
+    splitWithUrl: {
+      payload: { tabId: FIELD_TAB_ID, input: { type: 'string', required: true }, ratio: FIELD_RATIO },
+      response: { sessionId: { ...FIELD_SESSION_ID, required: true }, url: { type: 'string', required: true } }
+    },
+    quickSplit: {
+      payload: { ratio: FIELD_RATIO },
+      response: { sessionId: { ...FIELD_SESSION_ID, required: true } }
+    },
+    unsplit: {
+      payload: { sessionId: FIELD_SESSION_ID },
+      response: { windowId: { ...FIELD_WINDOW_ID, required: true } }
+    },
+    getSplitSessions: {
+      payload: {},
+      response: { sessions: { type: 'array', required: true }, count: { type: 'integer', required: true } }
+    },
+    swapPanes: {
+      payload: { sessionId: FIELD_SESSION_ID, mode: { type: 'string', enum: ['bounds', 'tabs'] } },
+      response: { sessionId: { ...FIELD_SESSION_ID, required: true } }
+    },
+    rotatePanes: {
+      payload: { sessionId: FIELD_SESSION_ID, direction: { type: 'string', enum: ['forward', 'backward'] } },
+      response: { sessionId: { ...FIELD_SESSION_ID, required: true } }
+    },
+    setSyncScroll: {
+      payload: { sessionId: FIELD_SESSION_ID, enabled: { type: 'boolean', required: true } },
+      response: { syncScroll: { type: 'boolean', required: true } }
+    },
+    syncScroll: {
+      payload: { proportion: { ...FIELD_RATIO, required: true }, anchor: FIELD_SCROLL_ANCHOR },
+      response: { relayedCount: { type: 'integer', required: true } }
+    },
+    comparePanes: {
+      payload: { sessionId: FIELD_SESSION_ID },
+      response: { windowId: { ...FIELD_WINDOW_ID, required: true } }
+    },
+    getCompareReport: {
+      payload: {},
+      response: { report: { type: 'object', required: true } }
+    },
+    revealCompareBlock: {
+      payload: { tabId: { ...FIELD_TAB_ID, required: true }, index: { type: 'integer', min: 0, required: true } },
+      response: {}
+    },
+    createReferenceWindow: {
+      payload: {
+        tabId: FIELD_TAB_ID,
+        url: { type: 'string' },
+        otherDisplay: { type: 'boolean' },
+        dockEdge: { type: 'string', enum: ['left', 'right', 'top', 'bottom'] }
+      },
+      response: { windowId: { ...FIELD_WINDOW_ID, required: true } }
+    },
+    closeReferenceWindow: {
+      payload: { windowId: { ...FIELD_WINDOW_ID, required: true } },
+      response: {}
+    },
+    closeAllReferenceWindows: {
+      payload: {},
+      response: { closedCount: { type: 'integer', required: true } }
+    },
+    getReferenceWindows: {
+      payload: {},
+      response: { windows: { type: 'array', required: true }, count: { type: 'integer', required: true } }
+    },
+    focusReferenceWindow: {
+      payload: { windowId: { ...FIELD_WINDOW_ID, required: true } },
+      response: {}
+    },
+    dockReferenceWindow: {
+      payload: {
+        windowId: { ...FIELD_WINDOW_ID, required: true },
+        edge: { type: 'string', enum: ['left', 'right', 'top', 'bottom'] },
+        weight: { type: 'integer', min: 1 }
+      },
+      response: { dockEdge: { type: 'string', required: true } }
+    },
+    undockReferenceWindow: {
+      payload: { windowId: { ...FIELD_WINDOW_ID, required: true } },
+      response: {}
+    },
+    promoteReferenceWindow: {
+      payload: { windowId: { ...FIELD_WINDOW_ID, required: true }, ratio: FIELD_RATIO },
+      response: { sessionId: { ...FIELD_SESSION_ID, required: true } }
+    },
+    getWorkspaces: {
+      payload: {},
+      response: { workspaces: { type: 'array', required: true }, count: { type: 'integer', required: true } }
+    },
+    saveWorkspace: {
+      payload: { name: { type: 'string', required: true } },
+      response: { workspace: { type: 'object', required: true } }
+    },
+    restoreWorkspace: {
+      payload: { workspaceId: { type: 'string', required: true } },
+      response: { paneCount: { type: 'integer', required: true } }
+    },
+    renameWorkspace: {
+      payload: { workspaceId: { type: 'string', required: true }, name: { type: 'string', required: true } },
+      response: { workspace: { type: 'object', required: true } }
+    },
+    deleteWorkspace: {
+      payload: { workspaceId: { type: 'string', required: true } },
+      response: {}
+    },
+    importWorkspaces: {
+      payload: { data: { type: 'any', required: true } },
+      response: { importedCount: { type: 'integer', required: true } }
+    },
+    getErrorLog: {
+      payload: {},
+      response: { entries: { type: 'array', required: true }, count: { type: 'integer', required: true } }
+    },
+    clearErrorLog: {
+      payload: {},
+      response: {}
+    }
+  },
+
+  content: {
+    ping: {
+      payload: {},
+      response: {}
+    },
+    showNotification: {
+      payload: {
+        message: { type: 'string', required: true },
+        type: { type: 'string', enum: ['success', 'error', 'info'] },
+        actions: { type: 'array', items: { type: 'object' } }
+      },
+      response: {}
+    },
+    setSyncScroll: {
+      payload: { enabled: { type: 'boolean', required: true } },
+      response: {}
+    },
+    applySyncScroll: {
+      payload: { proportion: { ...FIELD_RATIO, required: true }, anchor: FIELD_SCROLL_ANCHOR },
+      response: {}
+    },
+    getPageInfo: {
+      payload: { includeContent: { type: 'boolean' } },
+      response: {
+        url: { type: 'string', required: true },
+        title: { type: 'string', required: true },
+        content: { type: 'array', items: { type: 'string' } }
+      }
+    },
+    revealBlock: {
+      payload: { index: { type: 'integer', min: 0, required: true } },
+      response: {}
+    }
+  }
+};
+
+/**
+ * Check a value against a field definition
+ * @param {Object} field - Field definition
+ * @param {*} value - Value to check
+ * @param {string} name - Field name for the error message
+ * @returns {string|null} Error message, or null when the value is valid
+ */
+function validateField(field, value, name) {
+  if (value === null) {
+    return field.nullable ? null : `${name} must not be null`;
+  }
+
+  switch (field.type) {
+    case 'any':
+      return null;
+
+    case 'integer':
+    case 'number':
+      if (field.type === 'integer' ? !Number.isInteger(value) : typeof value !== 'number' || !Number.isFinite(value)) {
+        return `${name} must be ${field.type === 'integer' ? 'a whole number' : 'a number'}`;
+      }
+      if ((field.min !== undefined && value < field.min) || (field.max !== undefined && value > field.max)) {
+        return `${name} must be between ${field.min ?? '-∞'} and ${field.max ?? '∞'}`;
+      }
+      break;
+
+    case 'array':
+      if (!Array.isArray(value)) {
+        return `${name} must be a list`;
+      }
+      if (field.items) {
+        for (let i = 0; i < value.length; i++) {
+          const error = validateField(field.items, value[i], `${name}[${i}]`);
+          if (error) return error;
+        }
+      }
+      break;
+
+    case 'object':
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        return `${name} must be an object`;
+      }
+      break;
+
+    default:
+      if (typeof value !== field.type) {
+        return `${name} must be a ${field.type}`;
+      }
+  }
+
+  if (field.enum && !field.enum.includes(value)) {
+    return `${name} must be one of: ${field.enum.join(', ')}`;
+  }
+
+  return null;
+}
+
+/**
+ * Check an object's fields against a set of field definitions
+ * @param {Object} fields - Field definitions keyed by name
+ * @param {Object} values - Object to check
+ * @param {Array<string>} [ignored=[]] - Fields to skip that the definitions do not list
+ * @param {boolean} [strict=true] - Reject fields the definitions do not list
+ * @returns {string|null} First error message, or null when every field is valid
+ */
+function validateFields(fields, values, ignored = [], strict = true) {
+  for (const [name, field] of Object.entries(fields)) {
+    if (values[name] === undefined) {
+      if (field.required) return `${name} is required`;
+      continue;
+    }
+
+    const error = validateField(field, values[name], name);
+    if (error) return error;
+  }
+
+  if (strict) {
+    const unexpected = Object.keys(values)
+      .find(name => !(name in fields) && !ignored.includes(name) && values[name] !== undefined);
+    if (unexpected) return `Unexpected field: ${unexpected}`;
+  }
+
+  return null;
+}
+
+/**
+ * Build a failed response
+ * @param {string} code - One of ERROR_CODES
+ * @param {string} error - Human-readable message
+ * @returns {Object} Response object, with a recovery suggestion when there is one for the code
+ */
+function createErrorResponse(code, error) {
+  const response = { success: false, code: code, error: error };
+  if (ERROR_SUGGESTIONS[code]) {
+    response.suggestion = ERROR_SUGGESTIONS[code];
+  }
+  return response;
+}
+
+/**
+ * Work out the error code for an exception thrown by a Chrome API
+ * @param {Error} error - Caught error
+ * @returns {string} One of ERROR_CODES
+ */
+function classifyError(error) {
+  const message = (error && error.message) || String(error);
+  const match = CHROME_ERROR_PATTERNS.find(({ pattern }) => pattern.test(message));
+  return match ? match.code : ERROR_CODES.ACTION_FAILED;
+}
+
+/**
+ * Build a failed response from a caught exception
+ * @param {Error} error - Caught error
+ * @returns {Object} Response object
+ */
+function createExceptionResponse(error) {
+  return createErrorResponse(classifyError(error), (error && error.message) || String(error));
+}
+
+/**
+ * Check that a request is well formed for a listener
+ * @param {string} target - Listener context (background, content)
+ * @param {Object} request - Incoming message
+ * @returns {Object|null} Failed response, or null when the request can be handled
+ */
+function validateMessage(target, request) {
+  if (!request || typeof request !== 'object' || typeof request.action !== 'string') {
+    return createErrorResponse(ERROR_CODES.INVALID_MESSAGE, 'Message must be an object with an action');
+  }
+
+  if (request.protocolVersion !== PROTOCOL_VERSION) {
+    return createErrorResponse(
+      ERROR_CODES.UNSUPPORTED_VERSION,
+      `Protocol version ${request.protocolVersion ?? '(none)'} is not supported (expected ${PROTOCOL_VERSION}); reload the page or extension`
+    );
+  }
+
+  const schema = MESSAGE_SCHEMAS[target][request.action];
+  if (!schema) {
+    return createErrorResponse(ERROR_CODES.UNKNOWN_ACTION, `Unknown action: ${request.action}`);
+  }
+
+  const error = validateFields(schema.payload, request, ['action', 'protocolVersion']);
+  return error ? createErrorResponse(ERROR_CODES.INVALID_PAYLOAD, `${request.action}: ${error}`) : null;
+}
+
+/**
+ * Make sure a handler's result is a response the protocol allows
+ * @param {string} target - Listener context (background, content)
+ * @param {string} action - Action that was handled
+ * @param {Object} result - Handler result
+ * @returns {Object} Response object
+ */
+function normalizeResponse(target, action, result) {
+  if (!result || typeof result.success !== 'boolean') {
+    console.error(`Handler for ${action} returned a malformed result:`, result);
+    return createErrorResponse(ERROR_CODES.INTERNAL_ERROR, `${action} returned no result`);
+  }
+
+  if (!result.success) {
+    return { ...createErrorResponse(result.code || ERROR_CODES.ACTION_FAILED, result.error || 'Unknown error'), ...result };
+  }
+
+  // A response that breaks its schema is a bug in the handler, not the caller, so only report it
+  const error = validateFields(MESSAGE_SCHEMAS[target][action].response, result, [], false);
+  if (error) {
+    console.error(`Response to ${action} does not match its schema: ${error}`);
+  }
+
+  return result;
+}
+
+/**
+ * Create a chrome.runtime.onMessage listener that validates requests and routes them to handlers
+ * @param {string} target - Listener context (background, content)
+ * @param {Object} handlers - Async functions (request, sender) => result, keyed by action
+ * @param {Object} [options] - Dispatcher options
+ * @param {Promise} [options.ready] - Resolves once the handlers' state is loaded
+ * @param {Function} [options.onFailure] - Called with (request, response, sender) for every failed response
+ * @returns {Function} Message listener
+ */
+function createMessageDispatcher(target, handlers, options = {}) {
+  Object.keys(MESSAGE_SCHEMAS[target])
+    .filter(action => !handlers[action])
+    .forEach(action => console.error(`No ${target} handler for action: ${action}`));
+
+  return (request, sender, sendResponse) => {
+    (async () => {
+      let response = validateMessage(target, request);
+      if (response) {
+        console.error('Rejected message:', response.error);
+      } else {
+        try {
+          await options.ready;
+          const result = await handlers[request.action](request, sender);
+          response = normalizeResponse(target, request.action, result);
+        } catch (error) {
+          console.error(`Error handling ${request.action}:`, error);
+          response = createErrorResponse(ERROR_CODES.INTERNAL_ERROR, error.message);
+        }
+      }
+
+      sendResponse(response);
+
+      if (!response.success && options.onFailure) {
+        options.onFailure(request, response, sender);
+      }
+    })();
+
+    // Keep the channel open for the asynchronous response
+    return true;
+  };
+}
+
+/**
+ * Stamp a message with the protocol version
+ * @param {Object} message - Message with an action and its payload fields
+ * @returns {Object} Message ready to send
+ */
+function createMessage(message) {
+  return { ...message, protocolVersion: PROTOCOL_VERSION };
+}
+
+/**
+ * Send a message to the background script
+ * @param {Object} message - Message with an action and its payload fields
+ * @returns {Promise<Object>} Response
+ */
+function sendRuntimeMessage(message) {
+  return chrome.runtime.sendMessage(createMessage(message));
+}
+
+/**
+ * Send a message to a tab's content script
+ * @param {number} tabId - Tab to message
+ * @param {Object} message - Message with an action and its payload fields
+ * @returns {Promise<Object>} Response; rejects when the tab has no content script
+ */
+function sendTabMessage(tabId, message) {
+  return chrome.tabs.sendMessage(tabId, createMessage(message));
+}
@@ -0,0 +1,244 @@
+/**
+ * Settings module for Tab Splitter extension
+ * Typed settings in chrome.storage.sync, shared by the background, popup,
+ * options and content scripts
+ */
+
+// Stored as { version, values } under a single sync key
+const SETTINGS_STORAGE_KEY = 'settings';
+const SETTINGS_VERSION = 1;
+
+// Every tunable with its type, default and allowed range
+const SETTINGS_SCHEMA = {
+  defaultSplitPercent: {
+    type: 'integer',
+    default: 50,
+    min: 20,
+    max: 80,
+    step: 5,
+    label: 'Default split ratio',
+    description: 'Width of the left window as a percentage when the popup opens'
+  },
+  minPaneWidth: {
+    type: 'integer',
+    default: 200,
+    min: 100,
+    max: 1000,
+    step: 10,
+    label: 'Minimum pane width',
+    description: 'Splits and layouts that would make a pane narrower than this (in pixels) are refused'
+  },
+  minPaneHeight: {
+    type: 'integer',
+    default: 150,
+    min: 100,
+    max: 1000,
+    step: 10,
+    label: 'Minimum pane height',
+    description: 'Splits and layouts that would make a pane shorter than this (in pixels) are refused'
+  },
+  referenceWidthPercent: {
+    type: 'integer',
+    default: 20,
+    min: 10,
+    max: 50,
+    step: 5,
+    label: 'Reference window width',
+    description: 'Width of new reference windows as a percentage of the current window (height when docked to the top or bottom)'
+  },
+  maxReferenceWindows: {
+    type: 'integer',
+    default: 3,
+    min: 1,
+    max: 10,
+    step: 1,
+    label: 'Maximum reference windows',
+    description: 'How many reference windows can be open at once'
+  },
+  popupCloseDelay: {
+    type: 'integer',
+    default: 1500,
+    min: 0,
+    max: 10000,
+    step: 100,
+    label: 'Popup close delay',
+    description: 'Milliseconds the popup stays open after a successful split'
+  },
+  notificationDuration: {
+    type: 'integer',
+    default: 3000,
+    min: 1000,
+    max: 15000,
+    step: 500,
+    label: 'In-page notification duration',
+    description: 'Milliseconds in-page notifications stay visible'
+  },
+  peekEnabled: {
+    type: 'boolean',
+    default: true,
+    label: 'Hover-to-peek previews',
+    description: 'Preview links while holding Alt over them'
+  },
+  peekHoverDelay: {
+    type: 'integer',
+    default: 400,
+    min: 0,
+    max: 3000,
+    step: 50,
+    label: 'Peek hover delay',
+    description: 'Milliseconds to hover a link before its preview opens'
+  }
+};
+
+// Upgrades from each stored version to the next, keyed by the version they produce;
+// add a step here whenever SETTINGS_VERSION is bumped
+const SETTINGS_MIGRATIONS = {
+  // Records without a version already use the { version, values } shape
+  1: record => ({ ...record, version: 1 })
+};
+
+/**
+ * Get the default value of every setting
+ * @returns {Object} Default settings
+ */
+function getDefaultSettings() {
+  return Object.fromEntries(
+    Object.entries(SETTINGS_SCHEMA).map(([key, definition]) => [key, definition.default])
+  );
+}
+
+/**
+ * Check a single value against its setting definition
+ * @param {string} key - Setting name
+ * @param {*} value - Value to check
+ * @returns {string|null} Error message, or null when the value is valid
+ */
+function validateSetting(key, value) {
+  const definition = SETTINGS_SCHEMA[key];
+  if (!definition) {
+    return `Unknown setting: ${key}`;
+  }
+
+  switch (definition.type) {
+    case 'boolean':
+      return typeof value === 'boolean' ? null : `${definition.label} must be on or off`;
+
+    case 'integer':
+      if (!Number.isInteger(value)) {
+        return `${definition.label} must be a whole number`;
+      }
+      if (value < definition.min || value > definition.max) {
+        return `${definition.label} must be between ${definition.min} and ${definition.max}`;
+      }
+      return null;
+
+    default:
+      return `Unsupported setting type: ${definition.type}`;
+  }
+}
+
+/**
+ * Validate a set of setting values
+ * @param {Object} values - Values to check
+ * @returns {Object} Errors keyed by setting name; empty when everything is valid
+ */
+function validateSettings(values) {
+  const errors = {};
+
+  Object.entries(values).forEach(([key, value]) => {
+    const error = validateSetting(key, value);
+    if (error) {
+      errors[key] = error;
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Bring stored settings up to the current version and fill in defaults,
+ * dropping unknown keys and invalid values
+ * @param {Object} [stored] - Raw value from storage
+ * @returns {Object} Complete, valid settings
+ */
+function normalizeSettings(stored) {
+  let record = stored || { version: SETTINGS_VERSION, values: {} };
+  let version = Number.isInteger(record.version) ? record.version : 0;
+
+  while (version < SETTINGS_VERSION) {
+    version++;
+    record = SETTINGS_MIGRATIONS[version](record);
+  }
+
+  const settings = getDefaultSettings();
+  Object.entries(record.values || {}).forEach(([key, value]) => {
+    if (!validateSetting(key, value)) {
+      settings[key] = value;
+    }
+  });
+
+  return settings;
+}
+
+/**
+ * Read the current settings
+ * @returns {Promise<Object>} Complete, valid settings
+ */
+async function getSettings() {
+  try {
+    const stored = await chrome.storage.sync.get(SETTINGS_STORAGE_KEY);
+    return normalizeSettings(stored[SETTINGS_STORAGE_KEY]);
+  } catch (error) {
+    console.error('Error reading settings:', error);
+    return getDefaultSettings();
+  }
+}
+
+/**
+ * Update some settings, leaving the rest unchanged
+ * @param {Object} changes - Setting values to change
+ * @returns {Promise<Object>} Result object with the saved settings or validation errors
+ */
+async function saveSettings(changes) {
+  const errors = validateSettings(changes);
+  if (Object.keys(errors).length > 0) {
+    return { success: false, error: 'Some settings are invalid', errors: errors };
+  }
+
+  try {
+    const settings = { ...(await getSettings()), ...changes };
+    await chrome.storage.sync.set({
+      [SETTINGS_STORAGE_KEY]: { version: SETTINGS_VERSION, values: settings }
+    });
+    return { success: true, settings: settings };
+  } catch (error) {
+    console.error('Error saving settings:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Restore every setting to its default
+ * @returns {Promise<Object>} Result object with the default settings
+ */
+async function resetSettings() {
+  try {
+    await chrome.storage.sync.remove(SETTINGS_STORAGE_KEY);
+    return { success: true, settings: getDefaultSettings() };
+  } catch (error) {
+    console.error('Error resetting settings:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Call back with the new settings whenever they change in any context
+ * @param {Function} callback - Receives the complete, valid settings
+ */
+function onSettingsChanged(callback) {
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'sync' && changes[SETTINGS_STORAGE_KEY]) {
+      callback(normalizeSettings(changes[SETTINGS_STORAGE_KEY].newValue));
+    }
+  });
+}